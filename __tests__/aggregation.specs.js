@@ -1,8 +1,9 @@
 const pAll = require('p-all');
-const { createClient, getRange, insertData } = require('./redis');
+const { createClient, getRange, insertData, copy } = require('./redis');
 const { round, calc_stats, random } = require('./utils');
 
 const TIMESERIES_KEY = 'ts:aggregation';
+const DEST_KEY = 'ts:aggregation:dest';
 
 describe('aggregation', () => {
 
@@ -121,6 +122,497 @@ describe('aggregation', () => {
     expect(actual).toEqual(expected);
   });
 
+  describe('quantiles', () => {
+
+    // linear interpolation between closest ranks
+    function quantile(values, q) {
+      const sorted = values.slice().sort((a, b) => a - b);
+      const h = (sorted.length - 1) * q;
+      const lo = Math.floor(h);
+      if (lo >= sorted.length - 1) {
+        return sorted[sorted.length - 1];
+      }
+      return sorted[lo] + (h - lo) * (sorted[lo + 1] - sorted[lo]);
+    }
+
+    async function testQuantile(spec, name, q) {
+      const raw_data = await insertAggregationData(TIMESERIES_KEY);
+      const response = await getRange(client, TIMESERIES_KEY, 10, 50, 'AGGREGATION', 10, spec);
+      const actual = response.map(([ts, data]) => [ts, round(parseFloat(data.value[name]), 5)]);
+      const expected = [10, 20, 30, 40].map((ts, i) => {
+        return [ts, round(quantile(raw_data.slice(i * 10, (i + 1) * 10), q), 5)];
+      });
+      expect(actual).toEqual(expected);
+    }
+
+    test('p50 is the median', async () => {
+      const expected = [[10, 155.5], [20, 255.5], [30, 355.5], [40, 455.5]];
+      await testAggregation('p50', expected);
+    });
+
+    test('p90', async () => {
+      await testQuantile('p90(value)', 'p90', 0.9);
+    });
+
+    test('p95', async () => {
+      await testQuantile('p95(value)', 'p95', 0.95);
+    });
+
+    test('p99', async () => {
+      await testQuantile('p99(value)', 'p99', 0.99);
+    });
+
+    test('quantile', async () => {
+      await testQuantile('quantile(0.25, value)', 'p25', 0.25);
+    });
+
+    test('quantile(0.999)', async () => {
+      await testQuantile('quantile(0.999,value,exact)', 'p99.9', 0.999);
+    });
+
+    test('should estimate quantiles of large buckets', async () => {
+      const count = 5000;
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        values.push(random(0, 100000));
+      }
+      await insertData(client, TIMESERIES_KEY, 1, count, values);
+
+      const specs = ['p50(value)', 'p99(value)', 'quantile(0.999,value)', 'quantile(0.1,value,sketch)'];
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', count * 2, ...specs);
+      expect(response.length).toBe(1);
+      const actual = response[0][1].value;
+
+      const check = (name, q) => {
+        const error = Math.abs(parseFloat(actual[name]) - quantile(values, q));
+        expect(error).toBeLessThan(1000);
+      };
+      check('p50', 0.5);
+      check('p99', 0.99);
+      check('p99.9', 0.999);
+      check('p10', 0.1);
+    });
+
+    test('should validate the quantile', async () => {
+      await insertAggregationData(TIMESERIES_KEY);
+      const run = (spec) => getRange(client, TIMESERIES_KEY, 10, 50, 'AGGREGATION', 10, spec);
+      await expect(run('quantile(1.5,value)')).rejects.toThrow(/QUANTILE: expected a number between 0 and 1/);
+      await expect(run('quantile(value)')).rejects.toThrow(/QUANTILE: Expecting quantile\(q, field\)/);
+      await expect(run('quantile(0.5,value,fast)')).rejects.toThrow(/QUANTILE: Expecting "auto", "exact" or "sketch"/);
+    });
+
+  });
+
+  describe('counters', () => {
+
+    // a counter sampled every 10s, reset after 30
+    async function insertCounter(values = [0, 10, 20, 30, 5, 15]) {
+      const calls = values.map((val, i) => () => client.timeseries(TIMESERIES_KEY, 'add', 1000 + i * 10000, 'bytes', val));
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    async function runCounter(type, ...args) {
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 60000, `${type}(bytes)`, ...args);
+      return response.map(([ts, data]) => [ts, data.bytes[type] === null ? null : parseFloat(data.bytes[type])]);
+    }
+
+    test('increase', async () => {
+      await insertCounter();
+      // 45 over 50s, extrapolated to 0 at the start (the counter started at 0) and 9s to the end of the bucket
+      expect(await runCounter('increase')).toEqual([[0, 53.1]]);
+    });
+
+    test('delta', async () => {
+      await insertCounter();
+      // 15 over 50s, extrapolated 1s to the start and 9s to the end
+      expect(await runCounter('delta')).toEqual([[0, 18]]);
+    });
+
+    test('counter_rate', async () => {
+      await insertCounter();
+      const actual = await runCounter('counter_rate');
+      expect(actual[0][1]).toBeCloseTo(53.1 / 60, 10);
+    });
+
+    test('irate', async () => {
+      await insertCounter();
+      expect(await runCounter('irate')).toEqual([[0, 1]]);
+    });
+
+    test('irate after a reset', async () => {
+      await insertCounter([100, 200, 50]);
+      expect(await runCounter('irate')).toEqual([[0, 5]]);
+    });
+
+    test('need at least two values', async () => {
+      await client.timeseries(TIMESERIES_KEY, 'add', 1000, 'bytes', 10);
+      expect(await runCounter('increase')).toEqual([[0, null]]);
+      expect(await runCounter('irate')).toEqual([[0, null]]);
+    });
+
+    test('revrange', async () => {
+      await insertCounter();
+      const response = await client.timeseries(TIMESERIES_KEY, 'revrange', '+', '-',
+        'AGGREGATION', 60000, 'increase(bytes)', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual([[0, { bytes: { increase: '53.1' } }]]);
+    });
+
+  });
+
+  describe('time weighted', () => {
+
+    // a sensor which reports on change, with a burst of readings between 10 and 13
+    async function insertReadings() {
+      const readings = [[0, 10], [10, 20], [11, 20], [12, 20], [13, 20], [40, 0], [70, 100]];
+      const calls = readings.map(([ts, val]) => () => client.timeseries(TIMESERIES_KEY, 'add', ts + 60, 'value', val));
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    async function run(...rollups) {
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 60, ...rollups);
+      return response.map(([ts, data]) => [ts, data.value]);
+    }
+
+    test('twa', async () => {
+      await insertReadings();
+      const [[ts, value]] = await run('twa(value)', 'avg(value)');
+      expect(ts).toBe(60);
+      // 10 for 10, then 20 for 30 and 0 for 20 (until the start of the next bucket)
+      expect(parseFloat(value.twa)).toBeCloseTo(700 / 60, 10);
+      expect(parseFloat(value.avg)).toBeCloseTo(90 / 6, 10);
+    });
+
+    test('twa carries values across buckets', async () => {
+      await insertReadings();
+      const actual = await run('twa(value)');
+      // the 0 from the previous bucket is held until the reading of 100
+      expect(actual[1]).toEqual([120, { twa: 0 }]);
+    });
+
+    test('linear twa', async () => {
+      await insertReadings();
+      const actual = await run('twa(value,linear)');
+      // 66.67 at the start of the bucket, interpolated between 0 at 100 and 100 at 130
+      expect(parseFloat(actual[1][1].twa)).toBeCloseTo((200 / 3 + 100) / 2, 10);
+    });
+
+    test('integral', async () => {
+      await insertReadings();
+      const actual = await run('integral(value)');
+      expect(parseFloat(actual[0][1].integral)).toBeCloseTo(700 / 1000, 10);
+      expect(await run('integral(value, 10ms)')).toEqual([[60, { integral: 70 }], [120, { integral: 0 }]]);
+    });
+
+    test('errors', async () => {
+      await insertReadings();
+      await expect(run('twa(value,cubic)')).rejects.toThrow(/TWA: Expecting "step" or "linear"/);
+      await expect(run('integral(value,1x)')).rejects.toThrow(/INTEGRAL: expected a duration/);
+      await expect(run('twa(value,step,1)')).rejects.toThrow(/TWA: too many arguments/);
+    });
+
+  });
+
+  describe('wildcards and aliases', () => {
+
+    async function insertRequests() {
+      const calls = [10, 20, 30, 40].map((latency, i) =>
+        () => client.timeseries(TIMESERIES_KEY, 'add', 10 + i, 'latency', latency, 'bytes', i * 100, 'host', i % 2 ? 'a' : 'b'));
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    const toNumbers = (obj) => Object.entries(obj).reduce((res, [key, val]) => {
+      res[key] = typeof val === 'object' ? toNumbers(val) : parseFloat(val);
+      return res;
+    }, {});
+
+    async function runAggregation(...args) {
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, ...args);
+      return response.map(([ts, data]) => [ts, toNumbers(data)]);
+    }
+
+    it('should aggregate all numeric fields with *', async () => {
+      await insertRequests();
+      expect(await runAggregation('max(*)')).toEqual([
+        [10, { bytes: { max: 300 }, latency: { max: 40 } }]
+      ]);
+    });
+
+    it('should exclude GROUPBY fields from *', async () => {
+      await insertRequests();
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, 'count(*)', 'GROUPBY', 'host');
+      expect(response).toEqual([
+        [10, {
+          a: { bytes: { count: 2 }, latency: { count: 2 } },
+          b: { bytes: { count: 2 }, latency: { count: 2 } }
+        }]
+      ]);
+    });
+
+    it('should restrict * to LABELS', async () => {
+      await insertRequests();
+      expect(await runAggregation('sum(*)', 'LABELS', 'latency')).toEqual([
+        [10, { latency: { sum: 100 } }]
+      ]);
+    });
+
+    it('should expand a list of aggregations', async () => {
+      await insertRequests();
+      expect(await runAggregation('{min,max,avg}(latency)')).toEqual([
+        [10, { latency: { min: 10, max: 40, avg: 25 } }]
+      ]);
+    });
+
+    it('should return aliased values by name', async () => {
+      await insertRequests();
+      expect(await runAggregation('avg(latency)', 'AS', 'mean', 'p50(bytes)', 'as', 'median_bytes', 'max(latency)')).toEqual([
+        [10, { mean: 25, median_bytes: 150, latency: { max: 40 } }]
+      ]);
+    });
+
+    it('should validate aliases', async () => {
+      await insertRequests();
+      const run = (...args) => getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, ...args);
+      await expect(run('avg(latency)', 'AS', '1x')).rejects.toThrow(/AS: invalid alias "1x"/);
+      await expect(run('{min,max}(latency)', 'AS', 'x')).rejects.toThrow(/AS: an alias names a single aggregation/);
+      await expect(run('avg(*)', 'AS', 'x')).rejects.toThrow(/AS: an alias names a single aggregation/);
+      await expect(run('avg(latency)', 'AS', 'x', 'max(latency)', 'AS', 'x')).rejects.toThrow(/AS: alias "x" is already used/);
+      await expect(run('avg(bytes)', 'AS', 'latency', 'max(latency)')).rejects.toThrow(/AS: alias "latency" is also an aggregated field/);
+    });
+
+    it('should copy aliased and wildcard values', async () => {
+      await insertRequests();
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+', 'AGGREGATION', 10, 'avg(latency)', 'AS', 'mean', 'max(*)');
+      const response = await getRange(client, DEST_KEY, '-', '+');
+      expect(response).toEqual([
+        ['10-0', { mean: '25', bytes_max: '300', latency_max: '40' }]
+      ]);
+    });
+
+  });
+
+  describe('statistics', () => {
+
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+
+    async function insertValues() {
+      const calls = values.map((val, i) =>
+        () => client.timeseries(TIMESERIES_KEY, 'add', 10 + i, 'value', val, 'state', i % 3 ? 'ok' : 'error'));
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    async function runStat(type, field = 'value') {
+      const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, `${type}(${field})`);
+      return response.map(([ts, data]) => data[field][type]);
+    }
+
+    test('var', async () => {
+      await insertValues();
+      const [actual] = await runStat('var');
+      expect(parseFloat(actual)).toBeCloseTo(32 / 7, 10);
+    });
+
+    test('sumsq', async () => {
+      await insertValues();
+      expect(await runStat('sumsq')).toEqual([232]);
+    });
+
+    test('skew and kurtosis', async () => {
+      await insertValues();
+      expect((await runStat('skew')).map(parseFloat)).toEqual([0.65625]);
+      expect((await runStat('kurtosis')).map(parseFloat)).toEqual([-0.21875]);
+    });
+
+    test('skew and kurtosis of constant values', async () => {
+      await client.timeseries(TIMESERIES_KEY, 'add', 10, 'value', 3);
+      await client.timeseries(TIMESERIES_KEY, 'add', 11, 'value', 3);
+      expect(await runStat('skew')).toEqual([null]);
+      expect(await runStat('kurtosis')).toEqual([null]);
+    });
+
+    test('mode', async () => {
+      await insertValues();
+      expect(await runStat('mode')).toEqual([4]);
+      expect(await runStat('mode', 'state')).toEqual(['ok']);
+    });
+
+    test('count_distinct', async () => {
+      await insertValues();
+      expect(await runStat('count_distinct')).toEqual([5]);
+      expect(await runStat('count_distinct', 'state')).toEqual([2]);
+    });
+
+    test('stats', async () => {
+      await insertValues();
+      const [actual] = await runStat('stats');
+      expect(Object.keys(actual)).toEqual([
+        'count', 'sum', 'sumsq', 'min', 'max', 'mean', 'var', 'std', 'skew', 'kurtosis', 'mode', 'count_distinct'
+      ]);
+      const expected = calc_stats(values);
+      Object.keys(expected).forEach(k => {
+        expect(parseFloat(actual[k])).toBeCloseTo(expected[k], 10);
+      });
+    });
+
+    test('copy stats', async () => {
+      await insertValues();
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+', 'AGGREGATION', 10, 'stats(value)');
+      const [[, data]] = await getRange(client, DEST_KEY, '-', '+');
+      expect(data).toMatchObject({ value_stats_count: '8', value_stats_mean: '5', value_stats_mode: '4' });
+    });
+
+  });
+
+  describe('whole range', () => {
+
+    async function insertReadings() {
+      const readings = [[1005, 20, 'a'], [1010, 25, 'b'], [1030, 18, 'a'], [1090, 30, 'b']];
+      const calls = readings.map(([ts, temp, host]) => () => client.timeseries(TIMESERIES_KEY, 'add', ts, 'temp', temp, 'host', host));
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    it('should aggregate the range as a single bucket', async () => {
+      await insertReadings();
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', '-', '+', 'AGGREGATION', 'ALL', 'max(temp)', 'avg(temp)');
+      expect(response).toEqual([1005, 1090, ['temp', ['max', 30, 'avg', '23.25']]]);
+    });
+
+    it('should cover the filtered entries', async () => {
+      await insertReadings();
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', 1006, '+',
+        'AGGREGATION', 'all', 'min(temp)', 'count(temp)', 'FILTER', 'temp<30', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual([1010, 1030, { temp: { min: 18, count: 2 } }]);
+    });
+
+    it('should not extrapolate counters', async () => {
+      await insertReadings();
+      const response = await client.timeseries(TIMESERIES_KEY, 'revrange', '+', '-', 'AGGREGATION', 'ALL', 'increase(temp)');
+      // 25 - 20, then a reset to 18 and an increase to 30
+      expect(response).toEqual([1005, 1090, ['temp', ['increase', 35]]]);
+    });
+
+    it('should aggregate groups', async () => {
+      await insertReadings();
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', '-', '+',
+        'AGGREGATION', 'ALL', 'max(temp)', 'GROUPBY', 'host', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual([1005, 1090, {
+        a: { temp: { max: 20 } },
+        b: { temp: { max: 30 } }
+      }]);
+    });
+
+    it('should return an empty reply without entries', async () => {
+      await insertReadings();
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', '-', '+', 'AGGREGATION', 'ALL', 'max(temp)', 'FILTER', 'temp>100');
+      expect(response).toEqual([]);
+    });
+
+    it('should copy a single entry', async () => {
+      await insertReadings();
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+', 'AGGREGATION', 'ALL', 'max(temp)');
+      const response = await getRange(client, DEST_KEY, '-', '+');
+      expect(response).toEqual([['1005-0', { temp_max: '30' }]]);
+    });
+
+    it('should validate options', async () => {
+      await insertReadings();
+      const run = (...args) => getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 'ALL', 'max(temp)', ...args);
+      await expect(run('ALIGN', 'start')).rejects.toThrow(/ALIGN is not supported with AGGREGATION ALL/);
+      await expect(run('EMPTY', 'zero')).rejects.toThrow(/EMPTY is not supported with AGGREGATION ALL/);
+      await expect(run('TIMEZONE', 'UTC')).rejects.toThrow(/TIMEZONE requires a calendar time bucket/);
+    });
+
+  });
+
+  describe('bucket alignment', () => {
+
+    const HOUR = 3600000;
+
+    async function insertHourly(start, hours) {
+      const calls = [];
+      for (let i = 0; i < hours; i++) {
+        calls.push(() => client.timeseries(TIMESERIES_KEY, 'add', start + i * HOUR, 'value', 1));
+      }
+      await pAll(calls, { concurrency: 8 });
+    }
+
+    async function counts(min, max, ...args) {
+      const response = await getRange(client, TIMESERIES_KEY, min, max, 'AGGREGATION', ...args);
+      return response.map(([ts, data]) => [ts, data.value.count]);
+    }
+
+    test('duration buckets', async () => {
+      const start = Date.UTC(2024, 0, 1);
+      await insertHourly(start, 6);
+      expect(await counts('-', '+', '2h', 'count(value)')).toEqual(await counts('-', '+', 2 * HOUR, 'count(value)'));
+    });
+
+    test('ALIGN start', async () => {
+      await insertAggregationData();
+      const actual = await counts(15, 50, 10, 'count(value)', 'ALIGN', 'start');
+      expect(actual).toEqual([[15, 10], [25, 10], [35, 10], [45, 5]]);
+    });
+
+    test('ALIGN end', async () => {
+      await insertAggregationData();
+      const actual = await counts(10, 44, 10, 'count(value)', 'ALIGN', 'end');
+      expect(actual).toEqual([[5, 5], [15, 10], [25, 10], [35, 10]]);
+    });
+
+    test('ALIGN to a timestamp', async () => {
+      await insertAggregationData();
+      const actual = await counts('-', '+', 20, 'count(value)', 'ALIGN', 3);
+      expect(actual).toEqual([[3, 13], [23, 20], [43, 7]]);
+    });
+
+    test('calendar days in a timezone', async () => {
+      // Europe/Berlin switches to summer time on 2024-03-31, so that day is 23 hours long
+      const start = Date.UTC(2024, 2, 29, 23);
+      await insertHourly(start, 24 * 3);
+      const actual = await counts('-', '+', '1d', 'count(value)', 'TIMEZONE', 'Europe/Berlin');
+      expect(actual).toEqual([
+        [Date.UTC(2024, 2, 29, 23), 24],
+        [Date.UTC(2024, 2, 30, 23), 23],
+        [Date.UTC(2024, 2, 31, 22), 24],
+        [Date.UTC(2024, 3, 1, 22), 1]
+      ]);
+      const rates = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', '1d', 'rate(value)', 'TIMEZONE', 'Europe/Berlin');
+      expect(parseFloat(rates[1][1].value.rate)).toBeCloseTo(1 / HOUR, 12);
+    });
+
+    test('calendar weeks, months and years', async () => {
+      // a wednesday
+      const start = Date.UTC(2024, 0, 31);
+      await insertHourly(start, 24 * 7);
+      expect(await counts('-', '+', '1w', 'count(value)')).toEqual([
+        [Date.UTC(2024, 0, 29), 24 * 5],
+        [Date.UTC(2024, 1, 5), 24 * 2]
+      ]);
+      expect(await counts('-', '+', '1M', 'count(value)')).toEqual([
+        [Date.UTC(2024, 0, 1), 24],
+        [Date.UTC(2024, 1, 1), 24 * 6]
+      ]);
+      expect(await counts('-', '+', '1y', 'count(value)', 'TIMEZONE', '-05:00')).toEqual([
+        [Date.UTC(2024, 0, 1, 5), 24 * 7]
+      ]);
+    });
+
+    test('errors', async () => {
+      await insertAggregationData();
+      const run = (...args) => getRange(client, TIMESERIES_KEY, '-', '+', ...args);
+      await expect(run('AGGREGATION', '5x', 'count(value)')).rejects.toThrow(/must be a number or duration/);
+      await expect(run('AGGREGATION', 10, 'count(value)', 'ALIGN', 'start')).rejects.toThrow(/requires a numeric range start/);
+      await expect(run('AGGREGATION', 10, 'count(value)', 'ALIGN', 'middle')).rejects.toThrow(/ALIGN: Expecting/);
+      await expect(run('AGGREGATION', '1d', 'count(value)', 'ALIGN', 0)).rejects.toThrow(/not supported with calendar/);
+      await expect(run('AGGREGATION', 10, 'count(value)', 'TIMEZONE', 'UTC')).rejects.toThrow(/requires a calendar time bucket/);
+      await expect(run('AGGREGATION', '1d', 'count(value)', 'TIMEZONE', 'Mars/Olympus')).rejects.toThrow(/unknown timezone/);
+      expect(await run('AGGREGATION', '1d', 'count(value)', 'TIMEZONE', 'Europe/Kyiv')).toEqual(
+        await run('AGGREGATION', '1d', 'count(value)', 'TIMEZONE', 'Europe/Kiev')
+      );
+      await expect(run('ALIGN', 'start', 'LABELS', 'value')).rejects.toThrow(/ALIGN requires AGGREGATION/);
+    });
+
+  });
+
   test('multiple labels', async () => {
     const start_ts = 1488823384;
     const samples_count = 50;
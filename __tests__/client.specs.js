@@ -0,0 +1,102 @@
+const { createClient } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:client';
+
+describe('TimeseriesClient', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertValues(key = TIMESERIES_KEY) {
+    const values = [];
+    for (let i = 10; i < 30; i++) {
+      values.push([i, { value: i * 2, state: i % 2 ? 'odd' : 'even' }]);
+    }
+    await ts.bulkAdd(key, values);
+    return values;
+  }
+
+  it('should load the script', async () => {
+    const sha = await ts.load();
+    const [exists] = await client.script('exists', sha);
+    expect(exists).toBe(1);
+  });
+
+  it('should add and get objects', async () => {
+    await ts.add(TIMESERIES_KEY, 1000, { name: 'alice', age: 32 });
+    const actual = await ts.get(TIMESERIES_KEY, 1000);
+    expect(actual).toEqual({ name: 'alice', age: '32' });
+  });
+
+  it('should return null when getting a non-existent timestamp', async () => {
+    const actual = await ts.get(TIMESERIES_KEY, 1000);
+    expect(actual).toBeNull();
+  });
+
+  it('should pop values', async () => {
+    await ts.add(TIMESERIES_KEY, 1000, ['name', 'bob']);
+    const actual = await ts.pop(TIMESERIES_KEY, 1000);
+    expect(actual).toEqual({ name: 'bob' });
+    expect(await ts.exists(TIMESERIES_KEY, 1000)).toBe(false);
+  });
+
+  it('should return ranges as [id, object] pairs', async () => {
+    await insertValues();
+    const actual = await ts.range(TIMESERIES_KEY, 10, 12, 'LABELS', 'value');
+    expect(actual).toEqual([
+      ['10-0', { value: '20' }],
+      ['11-0', { value: '22' }],
+      ['12-0', { value: '24' }]
+    ]);
+  });
+
+  it('should parse aggregation responses', async () => {
+    await insertValues();
+    const actual = await ts.range(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, 'max(value)');
+    expect(actual).toEqual([
+      [10, { value: { max: 38 } }],
+      [20, { value: { max: 58 } }]
+    ]);
+  });
+
+  it('should copy using 2 keys', async () => {
+    const dest = `${TIMESERIES_KEY}:copy`;
+    await insertValues();
+    const count = await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'FILTER', 'state=odd');
+    expect(count).toBe(10);
+    expect(await ts.size(dest)).toBe(10);
+  });
+
+  it('should return distinct values by field', async () => {
+    await insertValues();
+    const actual = await ts.distinct(TIMESERIES_KEY, '-', '+', 'LABELS', 'state');
+    expect(actual.state.sort()).toEqual(['even', 'odd']);
+  });
+
+  it('should return distinct counts by field', async () => {
+    await insertValues();
+    const actual = await ts.countDistinct(TIMESERIES_KEY, '-', '+', 'LABELS', 'state');
+    expect(actual).toEqual({ state: { even: 10, odd: 10 } });
+  });
+
+  it('should return numeric stats', async () => {
+    await insertValues();
+    const { value } = await ts.basicStats(TIMESERIES_KEY, 10, 14, 'LABELS', 'value');
+    expect(value.count).toBe(5);
+    expect(value.sum).toBe(120);
+    expect(value.min).toBe(20);
+    expect(value.max).toBe(28);
+    expect(value.mean).toBe(24);
+  });
+
+});
@@ -0,0 +1,143 @@
+const { createClient, getRange, copy } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:empty';
+const DEST_KEY = 'ts:empty:dest';
+
+describe('empty buckets', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  // buckets of width 10 at 10, 20 and 50
+  async function insertGaps() {
+    await client.timeseries(TIMESERIES_KEY, 'add', 10, 'value', 1, 'host', 'a');
+    await client.timeseries(TIMESERIES_KEY, 'add', 20, 'value', 3, 'host', 'b');
+    await client.timeseries(TIMESERIES_KEY, 'add', 50, 'value', 9, 'host', 'a');
+  }
+
+  async function fill(strategy, min = '-', max = '+') {
+    const response = await getRange(client, TIMESERIES_KEY, min, max,
+      'AGGREGATION', 10, 'avg(value)', 'EMPTY', strategy);
+    return response.map(([bucket, data]) => [bucket, data.value.avg]);
+  }
+
+  it('should leave out empty buckets by default', async () => {
+    await insertGaps();
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, 'avg(value)');
+    expect(response.map(x => x[0])).toEqual([10, 20, 50]);
+  });
+
+  it('should fill with null', async () => {
+    await insertGaps();
+    expect(await fill('null')).toEqual([[10, 1], [20, 3], [30, null], [40, null], [50, 9]]);
+  });
+
+  it('should fill with zero', async () => {
+    await insertGaps();
+    expect(await fill('zero')).toEqual([[10, 1], [20, 3], [30, 0], [40, 0], [50, 9]]);
+  });
+
+  it('should fill with the previous value', async () => {
+    await insertGaps();
+    expect(await fill('previous')).toEqual([[10, 1], [20, 3], [30, 3], [40, 3], [50, 9]]);
+  });
+
+  it('should fill with the next value', async () => {
+    await insertGaps();
+    expect(await fill('next')).toEqual([[10, 1], [20, 3], [30, 9], [40, 9], [50, 9]]);
+  });
+
+  it('should interpolate linearly', async () => {
+    await insertGaps();
+    expect(await fill('linear')).toEqual([[10, 1], [20, 3], [30, 5], [40, 7], [50, 9]]);
+  });
+
+  it('should generate buckets up to the range bounds', async () => {
+    await insertGaps();
+    expect(await fill('linear', 0, 69)).toEqual([
+      [0, null], [10, 1], [20, 3], [30, 5], [40, 7], [50, 9], [60, null]
+    ]);
+    expect(await fill('previous', 0, 69)).toEqual([
+      [0, null], [10, 1], [20, 3], [30, 3], [40, 3], [50, 9], [60, 9]
+    ]);
+  });
+
+  it('should fill each group separately', async () => {
+    await insertGaps();
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+',
+      'AGGREGATION', 10, 'sum(value)', 'GROUPBY', 'host', 'EMPTY', 'zero');
+    expect(response).toEqual([
+      [10, { a: { value: { sum: 1 } }, b: { value: { sum: 0 } } }],
+      [20, { a: { value: { sum: 0 } }, b: { value: { sum: 3 } } }],
+      [30, { a: { value: { sum: 0 } }, b: { value: { sum: 0 } } }],
+      [40, { a: { value: { sum: 0 } }, b: { value: { sum: 0 } } }],
+      [50, { a: { value: { sum: 9 } }, b: { value: { sum: 0 } } }]
+    ]);
+  });
+
+  it('should return null in formatted replies', async () => {
+    await insertGaps();
+    const response = await client.timeseries(TIMESERIES_KEY, 'range', 10, 30,
+      'AGGREGATION', 10, 'max(value)', 'EMPTY', 'null', 'FORMAT', 'json');
+    expect(JSON.parse(response)).toEqual([
+      [10, { value: { max: 1 } }],
+      [20, { value: { max: 3 } }],
+      [30, { value: { max: null } }]
+    ]);
+  });
+
+  it('should limit the number of buckets', async () => {
+    await insertGaps();
+    await expect(fill('zero', 0, 1000000)).rejects.toThrow(/EMPTY: more than 10000 buckets/);
+  });
+
+  it('should validate its arguments', async () => {
+    await insertGaps();
+    await expect(fill('average')).rejects.toThrow(/EMPTY: Expecting/);
+    await expect(
+      getRange(client, TIMESERIES_KEY, '-', '+', 'EMPTY', 'zero')
+    ).rejects.toThrow('EMPTY requires AGGREGATION');
+  });
+
+  it('should be set by the query builder', async () => {
+    await insertGaps();
+    const actual = await ts.query(TIMESERIES_KEY)
+      .aggregate(10, { max: 'value' })
+      .empty('next')
+      .range();
+    expect(actual.map(([bucket, data]) => [bucket, data.value.max])).toEqual([
+      [10, 1], [20, 3], [30, 9], [40, 9], [50, 9]
+    ]);
+  });
+
+  describe('copy', () => {
+
+    it('should store filled buckets', async () => {
+      await insertGaps();
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+', 'AGGREGATION', 10, 'sum(value)', 'EMPTY', 'zero');
+      const response = await getRange(client, DEST_KEY, '-', '+');
+      expect(response.map(([id, data]) => [id, data.value_sum])).toEqual([
+        ['10-0', '1'], ['20-0', '3'], ['30-0', '0'], ['40-0', '0'], ['50-0', '9']
+      ]);
+    });
+
+    it('should not store null buckets', async () => {
+      await insertGaps();
+      await copy(client, TIMESERIES_KEY, DEST_KEY, 0, 69, 'AGGREGATION', 10, 'sum(value)', 'EMPTY', 'null');
+      const response = await getRange(client, DEST_KEY, '-', '+');
+      expect(response.map(x => x[0])).toEqual(['10-0', '20-0', '50-0']);
+    });
+
+  });
+
+});
@@ -171,6 +171,213 @@ describe('filter', () => {
 
   });
 
+  describe('lists', () => {
+
+    const data = [
+      { state: 'ready', size: '10' },
+      { state: 'almost done', size: '20.0' },
+      { state: 'burnt to a crisp', size: '30' },
+      { state: 'a, b', size: '1e1' },
+      { state: 'say "when"', size: '5' },
+      { state: ' padded ', size: '-1' },
+    ];
+
+    it('should support quoted and unquoted values', async () => {
+      await checkFilter(data, 'quoted', 'state!=(ready,"almost done",burnt to a crisp)',
+        (v) => !['ready', 'almost done', 'burnt to a crisp'].includes(v.state));
+    });
+
+    it('should support separators within quotes', async () => {
+      await checkFilter(data, 'separator', 'state=("a, b",ready)', (v) => ['a, b', 'ready'].includes(v.state));
+    });
+
+    it('should support escaped quotes', async () => {
+      await checkFilter(data, 'escaped', 'state=("say ""when""")', (v) => v.state === 'say "when"');
+    });
+
+    it('should trim unquoted values', async () => {
+      await checkFilter(data, 'trim', 'state=( ready , burnt to a crisp )',
+        (v) => ['ready', 'burnt to a crisp'].includes(v.state));
+      await checkFilter(data, 'padded', 'state=(" padded ")', (v) => v.state === ' padded ');
+    });
+
+    it('should compare numbers by value', async () => {
+      await checkFilter(data, 'numeric', 'size=(10 , 20, -1.0)', (v) => ['10', '20.0', '1e1', '-1'].includes(v.size));
+    });
+
+    it('should reject an unterminated quote', async () => {
+      const key = `${TIMESERIES_KEY}:unterminated`;
+      await insertData(client, key, start_ts, 1, data);
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'state=("ready,done)')
+      ).rejects.toThrow('FILTER: unterminated quoted value in list');
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'state=("ready" x,done)')
+      ).rejects.toThrow('FILTER: expected "," after quoted value');
+    });
+
+    it('should reject an empty list', async () => {
+      const key = `${TIMESERIES_KEY}:empty`;
+      await insertData(client, key, start_ts, 1, data);
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'state=( )')
+      ).rejects.toThrow('No values found for contains match');
+    });
+
+  });
+
+  describe('string matching', () => {
+
+    const data = [
+      { path: '/api/v1/orders', agent: 'Mozilla/5.0 (X11; Linux x86_64) Chrome/74.0' },
+      { path: '/api/v2/orders', agent: 'curl/7.58.0' },
+      { path: '/api/v1/users', agent: 'Mozilla/5.0 (Macintosh) Safari/605.1.15' },
+      { path: '/static/app.js', agent: 'Wget/1.19.4' },
+      { path: '/API/v1/Orders', agent: 'CURL/7.61.1' },
+      { path: '/api/v1/orders.json', agent: 'python-requests/2.21.0' },
+    ];
+
+    it('Contains', async () => {
+      await checkFilter(data, '*=', 'agent*=Mozilla', (v) => v.agent.includes('Mozilla'));
+    });
+
+    it('Prefix', async () => {
+      await checkFilter(data, '^=', 'path^=/api', (v) => v.path.startsWith('/api'));
+    });
+
+    it('Suffix', async () => {
+      await checkFilter(data, '$=', 'path$=orders', (v) => v.path.endsWith('orders'));
+    });
+
+    it('Glob', async () => {
+      await checkFilter(data, '~=', 'path~=/api/*/orders', (v) => /^\/api\/.*\/orders$/.test(v.path));
+      await checkFilter(data, '~=?', 'path~=/api/v?/users', (v) => v.path === '/api/v1/users');
+      await checkFilter(data, '~=.', 'path~=/static/app.js', (v) => v.path === '/static/app.js');
+    });
+
+    it('Pattern', async () => {
+      await checkFilter(data, '%=', 'agent%=^%a+/%d+%.%d+%.%d+$', (v) => /^[A-Za-z]+\/\d+\.\d+\.\d+$/.test(v.agent));
+    });
+
+    it('Case insensitive', async () => {
+      await checkFilter(data, '**=', 'agent**=curl', (v) => v.agent.toLowerCase().includes('curl'));
+      await checkFilter(data, '^*=', 'path^*=/API/V1', (v) => v.path.toLowerCase().startsWith('/api/v1'));
+      await checkFilter(data, '$*=', 'path$*=ORDERS', (v) => v.path.toLowerCase().endsWith('orders'));
+      await checkFilter(data, '~*=', 'path~*=/api/*/orders', (v) => /^\/api\/.*\/orders$/i.test(v.path));
+    });
+
+    it('should not match missing fields', async () => {
+      await checkFilter(data.concat({ name: 'x' }), 'missing', 'path*=/', (v) => v.path !== undefined);
+    });
+
+    it('should reject an invalid pattern', async () => {
+      const key = `${TIMESERIES_KEY}:invalid`;
+      await insertData(client, key, start_ts, 1, data);
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'path%=[a')
+      ).rejects.toThrow('FILTER: invalid pattern : [a');
+    });
+
+  });
+
+  describe('field predicates', () => {
+
+    const data = [
+      { name: 'april', temp: '12' },
+      { name: 'may' },
+      { name: 'june', temp: 'n/a' },
+      { name: 'july', temp: '20' },
+      { name: 'august', temp: '10' },
+      { name: 'september', temp: '-5.5' },
+      { name: 'october', temp: '25' },
+    ];
+
+    it('EXISTS', async () => {
+      await checkFilter(data, 'exists', 'EXISTS(temp)', (v) => v.temp !== undefined);
+      await checkFilter(data, 'exists lower', 'exists( temp )', (v) => v.temp !== undefined);
+    });
+
+    it('MISSING', async () => {
+      await checkFilter(data, 'missing', 'MISSING(temp)', (v) => v.temp === undefined);
+    });
+
+    it('ISNUMBER', async () => {
+      await checkFilter(data, 'isnumber', 'ISNUMBER(temp)', (v) => v.temp !== undefined && !isNaN(v.temp));
+    });
+
+    it('null', async () => {
+      await checkFilter(data, '=null', 'temp=null', (v) => v.temp === undefined);
+      await checkFilter(data, '!=null', 'temp!=null', (v) => v.temp !== undefined);
+    });
+
+    it('should combine with other conditions', async () => {
+      await checkFilter(data, 'combined', ['NOT', 'ISNUMBER(temp)', 'OR', '(EXISTS(temp)', 'AND', 'temp<0)'],
+        (v) => isNaN(v.temp) || v.temp < 0);
+    });
+
+    it('should reject an unknown predicate', async () => {
+      const key = `${TIMESERIES_KEY}:unknown`;
+      await insertData(client, key, start_ts, 1, data);
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'ISDATE(temp)')
+      ).rejects.toThrow('FILTER: unknown predicate : ISDATE');
+    });
+
+  });
+
+  describe('intervals', () => {
+
+    const data = [];
+    for (let i = 0; i < 30; i++) {
+      data.push({ temp: (i - 5) + '', name: String.fromCharCode(97 + (i % 26)) });
+    }
+    const num = (v) => parseInt(v.temp, 10);
+
+    it('Inclusive', async () => {
+      await checkFilter(data, '[]', 'temp=[10..20]', (v) => num(v) >= 10 && num(v) <= 20);
+    });
+
+    it('Exclusive', async () => {
+      await checkFilter(data, '][', 'temp=]10..20[', (v) => num(v) > 10 && num(v) < 20);
+      await checkFilter(data, '[)', 'temp=[10..20)', (v) => num(v) >= 10 && num(v) < 20);
+      await checkFilter(data, '(]', 'temp=(-3..2]', (v) => num(v) > -3 && num(v) <= 2);
+      await checkFilter(data, '[[', 'temp=[-3..2[', (v) => num(v) >= -3 && num(v) < 2);
+    });
+
+    it('should parse a parenthesized value as a list', async () => {
+      const values = [{ temp: '10..20' }, { temp: '15' }, { temp: '10' }];
+      await checkFilter(values, 'list', 'temp=(10..20)', (v) => v.temp === '10..20');
+      await checkFilter(values, '!=list', 'temp!=(10..20)', (v) => v.temp !== '10..20');
+    });
+
+    it('Open ended', async () => {
+      await checkFilter(data, '[..', 'temp=[18..]', (v) => num(v) >= 18);
+      await checkFilter(data, '..)', 'temp=[..-2)', (v) => num(v) < -2);
+    });
+
+    it('Not in interval', async () => {
+      await checkFilter(data, '!=[]', 'temp!=[0..20]', (v) => num(v) < 0 || num(v) > 20);
+    });
+
+    it('Strings', async () => {
+      await checkFilter(data, 'string', 'name=[c..f)', (v) => v.name >= 'c' && v.name < 'f');
+    });
+
+    it('should allow intervals within groups', async () => {
+      await checkFilter(data, 'group', ['(temp=[0..2)', 'OR', 'temp=(20..22])'],
+        (v) => (num(v) >= 0 && num(v) < 2) || (num(v) > 20 && num(v) <= 22));
+    });
+
+    it('should require a bound', async () => {
+      const key = `${TIMESERIES_KEY}:bound`;
+      await insertData(client, key, start_ts, 1, data);
+      await expect(
+        client.timeseries(key, 'range', '-', '+', 'FILTER', 'temp=[..]')
+      ).rejects.toThrow('FILTER: interval requires at least one bound');
+    });
+
+  });
+
   describe('multiple conditions', () => {
     const data = [
       {
@@ -222,4 +429,108 @@ describe('filter', () => {
     });
 
   });
+
+  describe('expressions', () => {
+    const data = [];
+    for (let i = 0; i < 20; i++) {
+      data.push({
+        id: i + '',
+        a: (i % 10) + '',
+        b: (i % 3) + '',
+        c: i % 2 ? 'x' : 'y'
+      });
+    }
+
+    it('should join conditions with OR', async () => {
+      await checkFilter(data, 'OR', ['a=3', 'OR', 'c=y'], (v) => v.a === '3' || v.c === 'y');
+    });
+
+    it('should AND conditions separated by whitespace', async () => {
+      await checkFilter(data, 'implicit', ['a>3', 'c=y'], (v) => v.a > 3 && v.c === 'y');
+    });
+
+    it('should give AND precedence over OR', async () => {
+      await checkFilter(data, 'precedence', ['a>7', 'OR', 'b=1', 'AND', 'c=x'],
+        (v) => v.a > 7 || (v.b === '1' && v.c === 'x'));
+    });
+
+    it('should support parentheses as separate arguments', async () => {
+      await checkFilter(data, 'parens', ['(', 'a>5', 'OR', 'b=1', ')', 'AND', 'c=x'],
+        (v) => (v.a > 5 || v.b === '1') && v.c === 'x');
+    });
+
+    it('should support parentheses attached to conditions', async () => {
+      await checkFilter(data, 'attached', ['(a>5', 'OR', 'b=1)', 'AND', 'NOT', 'c=x'],
+        (v) => (v.a > 5 || v.b === '1') && v.c !== 'x');
+    });
+
+    it('should support nested groups', async () => {
+      await checkFilter(data, 'nested', ['((a<2', 'OR', 'a>7)', 'AND', '(b=0))', 'OR', 'id=(3,"4")'],
+        (v) => ((v.a < 2 || v.a > 7) && v.b === '0') || ['3', '4'].includes(v.id));
+    });
+
+    it('should support NOT', async () => {
+      await checkFilter(data, 'NOT', ['NOT', '(a>5', 'OR', 'b=1)'],
+        (v) => !(v.a > 5 || v.b === '1'));
+      await checkFilter(data, 'NOT NOT', ['not', 'not', 'c=x'], (v) => v.c === 'x');
+    });
+
+    it('should AND whitespace separated clauses last', async () => {
+      await checkFilter(data, 'clauses', ['c=x', 'a<3', 'OR', 'a>7'],
+        (v) => v.c === 'x' && (v.a < 3 || v.a > 7));
+    });
+
+    it('should stop at the next option', async () => {
+      const key = `${TIMESERIES_KEY}:options`;
+      await insertData(client, key, start_ts, data.length, data);
+      const response = await getRange(client, key, '-', '+', 'FILTER', '(a=1', 'OR', 'a=2)', 'LABELS', 'a');
+      expect(response.map(x => x[1])).toEqual([
+        { a: '1' }, { a: '2' }, { a: '1' }, { a: '2' }
+      ]);
+    });
+
+    describe('errors', () => {
+
+      async function checkError(filters, message) {
+        const key = `${TIMESERIES_KEY}:errors`;
+        await insertData(client, key, start_ts, 1, data);
+        await expect(
+          client.timeseries(key, 'range', '-', '+', 'FILTER', ...filters)
+        ).rejects.toThrow(message);
+      }
+
+      it('should report an unmatched "("', async () => {
+        await checkError(['(a=1', 'OR', 'b=2'], 'FILTER: missing ")" to match "(" at token 1');
+      });
+
+      it('should report an unexpected ")"', async () => {
+        await checkError(['a=1', 'OR', 'b=2)'], 'FILTER: unexpected ")" at token 4');
+      });
+
+      it('should report a dangling operator', async () => {
+        await checkError(['a=1', 'AND'], 'FILTER: condition expected after "AND" at token 2');
+        await checkError(['a=1', 'OR', 'NOT'], 'FILTER: condition expected after "NOT" at token 3');
+      });
+
+      it('should report an operator without a left operand', async () => {
+        await checkError(['OR', 'a=1'], 'FILTER: unexpected "OR" at token 1');
+        await checkError(['a=1', 'AND', 'OR', 'b=2'], 'FILTER: unexpected "OR" at token 3');
+      });
+
+      it('should report an empty group', async () => {
+        await checkError(['(', ')', 'a=1'], 'FILTER: unexpected ")" at token 2');
+      });
+
+      it('should report an invalid condition', async () => {
+        await checkError(['a=1', 'OR', 'b'], 'FILTER: unable to parse expression : b');
+      });
+
+      it('should report parentheses left in a condition', async () => {
+        await checkError(['NOT(a=1)'], 'FILTER: unbalanced parenthesis in expression : NOT(a=1)');
+        await checkError(['a=1', 'OR', 'max(b)>2'], 'FILTER: unbalanced parenthesis in expression : max(b)>2');
+      });
+
+    });
+
+  });
 });
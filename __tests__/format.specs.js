@@ -0,0 +1,116 @@
+const { createClient, insertData } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:format';
+
+describe('format', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1488823384;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function generateData(count = 20) {
+    const data = [];
+    for (let i = 0; i < count; i++) {
+      data.push({ value: i, state: i % 2 ? 'odd' : 'even' });
+    }
+    await insertData(client, TIMESERIES_KEY, start_ts, count, data);
+    return data;
+  }
+
+  it('should reject an invalid format', async () => {
+    await generateData(1);
+    await expect(
+      client.timeseries(TIMESERIES_KEY, 'range', '-', '+', 'FORMAT', 'xml')
+    ).rejects.toThrow(/FORMAT/);
+  });
+
+  describe('json', () => {
+
+    it('should format get', async () => {
+      await generateData(1);
+      const response = await client.timeseries(TIMESERIES_KEY, 'get', start_ts, 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual({ value: '0', state: 'even' });
+    });
+
+    it('should format get with LABELS', async () => {
+      await generateData(1);
+      const response = await client.timeseries(TIMESERIES_KEY, 'get', start_ts, 'LABELS', 'state', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual({ state: 'even' });
+    });
+
+    it('should format range', async () => {
+      await generateData(3);
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', '-', '+', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual([
+        [`${start_ts}-0`, { value: '0', state: 'even' }],
+        [`${start_ts + 1}-0`, { value: '1', state: 'odd' }],
+        [`${start_ts + 2}-0`, { value: '2', state: 'even' }]
+      ]);
+    });
+
+    it('should format aggregations', async () => {
+      await generateData(20);
+      const response = await client.timeseries(TIMESERIES_KEY, 'range', start_ts, start_ts + 5,
+        'AGGREGATION', 1000000000, 'max(value)', 'count(state)', 'FORMAT', 'json');
+      expect(JSON.parse(response)).toEqual([
+        [1000000000, { value: { max: 5 }, state: { count: 6 } }]
+      ]);
+    });
+
+    it('should be decoded by the client', async () => {
+      await generateData(5);
+      const actual = await ts.query(TIMESERIES_KEY).where('state', '=', 'odd').format('json').range();
+      expect(actual).toEqual([
+        [`${start_ts + 1}-0`, { value: '1', state: 'odd' }],
+        [`${start_ts + 3}-0`, { value: '3', state: 'odd' }]
+      ]);
+      expect(await ts.get(TIMESERIES_KEY, start_ts, 'FORMAT', 'json')).toEqual({ value: '0', state: 'even' });
+      expect(await ts.range(TIMESERIES_KEY, 0, 1, 'FORMAT', 'json')).toEqual([]);
+    });
+
+  });
+
+  describe('msgpack', () => {
+
+    it('should be decoded by the client', async () => {
+      await generateData(3);
+      const actual = await ts.revrange(TIMESERIES_KEY, '+', '-', 'LABELS', 'value', 'FORMAT', 'msgpack');
+      expect(actual).toEqual([
+        [`${start_ts + 2}-0`, { value: '2' }],
+        [`${start_ts + 1}-0`, { value: '1' }],
+        [`${start_ts}-0`, { value: '0' }]
+      ]);
+    });
+
+    it('should support get and pop', async () => {
+      await generateData(2);
+      expect(await ts.get(TIMESERIES_KEY, start_ts, 'FORMAT', 'msgpack')).toEqual({ value: '0', state: 'even' });
+      expect(await ts.pop(TIMESERIES_KEY, start_ts + 1, 'FORMAT', 'msgpack')).toEqual({ value: '1', state: 'odd' });
+      expect(await ts.size(TIMESERIES_KEY)).toBe(1);
+    });
+
+    it('should support aggregations', async () => {
+      await generateData(20);
+      const actual = await ts.query(TIMESERIES_KEY)
+        .between(start_ts, start_ts + 5)
+        .aggregate(1000000000, { sum: 'value' })
+        .format('msgpack')
+        .poprange();
+      expect(actual).toEqual([[1000000000, { value: { sum: 15 } }]]);
+      expect(await ts.size(TIMESERIES_KEY)).toBe(14);
+    });
+
+  });
+
+});
@@ -0,0 +1,149 @@
+const { createClient, insertData, getRange, copy } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:groupby';
+const DEST_KEY = 'ts:groupby:dest';
+
+describe('groupby', () => {
+  let client;
+
+  const start_ts = 1000;
+
+  beforeEach(async () => {
+    client = await createClient();
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  const endpoints = ['/users', '/orders', '/users', '/health'];
+  const statuses = ['200', '200', '500', '200'];
+
+  async function insertRequests(count = 20) {
+    const data = [];
+    for (let i = 0; i < count; i++) {
+      data.push({
+        endpoint: endpoints[i % endpoints.length],
+        status: statuses[i % statuses.length],
+        duration: i + 1
+      });
+    }
+    await insertData(client, TIMESERIES_KEY, start_ts, count, data);
+    return data;
+  }
+
+  it('should split buckets by the values of a field', async () => {
+    await insertRequests(20);
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+',
+      'AGGREGATION', 10, 'count(duration)', 'max(duration)', 'GROUPBY', 'endpoint');
+
+    expect(response).toEqual([
+      [1000, {
+        '/users': { duration: { count: 5, max: 9 } },
+        '/orders': { duration: { count: 3, max: 10 } },
+        '/health': { duration: { count: 2, max: 8 } }
+      }],
+      [1010, {
+        '/users': { duration: { count: 5, max: 19 } },
+        '/orders': { duration: { count: 2, max: 18 } },
+        '/health': { duration: { count: 3, max: 20 } }
+      }]
+    ]);
+  });
+
+
+  it('should group by multiple fields', async () => {
+    await insertRequests(8);
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+',
+      'AGGREGATION', 100, 'sum(duration)', 'GROUPBY', 'endpoint', 'status');
+
+    expect(response).toEqual([
+      [1000, {
+        '/users\u0000200': { duration: { sum: 6 } },
+        '/orders\u0000200': { duration: { sum: 8 } },
+        '/users\u0000500': { duration: { sum: 10 } },
+        '/health\u0000200': { duration: { sum: 12 } }
+      }]
+    ]);
+  });
+
+  it('should not merge groups whose values contain the separator', async () => {
+    await client.timeseries(TIMESERIES_KEY, 'add', start_ts, 'host', 'a:b', 'port', 'c', 'load', 1);
+    await client.timeseries(TIMESERIES_KEY, 'add', start_ts + 1, 'host', 'a', 'port', 'b:c', 'load', 2);
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+',
+      'AGGREGATION', 100, 'sum(load)', 'GROUPBY', 'host', 'port');
+
+    expect(response).toEqual([
+      [1000, {
+        'a:b\u0000c': { load: { sum: 1 } },
+        'a\u0000b:c': { load: { sum: 2 } }
+      }]
+    ]);
+  });
+
+  it('should group entries missing the field', async () => {
+    await insertRequests(2);
+    await client.timeseries(TIMESERIES_KEY, 'add', start_ts + 2, 'duration', 7);
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+',
+      'AGGREGATION', 100, 'sum(duration)', 'GROUPBY', 'endpoint');
+
+    expect(response).toEqual([
+      [1000, {
+        '/users': { duration: { sum: 1 } },
+        '/orders': { duration: { sum: 2 } },
+        '': { duration: { sum: 7 } }
+      }]
+    ]);
+  });
+
+  it('should support FORMAT', async () => {
+    await insertRequests(4);
+    const ts = new TimeseriesClient(client);
+    const actual = await ts.query(TIMESERIES_KEY)
+      .aggregate(100, { count: 'duration' })
+      .groupBy('status')
+      .format('json')
+      .range();
+
+    expect(actual).toEqual([
+      [1000, { '200': { duration: { count: 3 } }, '500': { duration: { count: 1 } } }]
+    ]);
+  });
+
+  it('should require AGGREGATION', async () => {
+    await insertRequests(1);
+    await expect(
+      client.timeseries(TIMESERIES_KEY, 'range', '-', '+', 'GROUPBY', 'endpoint')
+    ).rejects.toThrow('GROUPBY requires AGGREGATION');
+  });
+
+  describe('copy', () => {
+
+    it('should store one entry per group', async () => {
+      await insertRequests(8);
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+',
+        'AGGREGATION', 100, 'sum(duration)', 'max(duration)', 'GROUPBY', 'endpoint');
+
+      const response = await getRange(client, DEST_KEY, '-', '+');
+      expect(response).toEqual([
+        ['1000-0', { endpoint: '/health', duration_sum: '12', duration_max: '8' }],
+        ['1000-1', { endpoint: '/orders', duration_sum: '8', duration_max: '6' }],
+        ['1000-2', { endpoint: '/users', duration_sum: '16', duration_max: '7' }]
+      ]);
+    });
+
+    it('should store groups in a hash', async () => {
+      await insertRequests(4);
+      await copy(client, TIMESERIES_KEY, DEST_KEY, '-', '+',
+        'AGGREGATION', 100, 'count(duration)', 'GROUPBY', 'status', 'STORAGE', 'hash');
+
+      const response = await client.hgetall(DEST_KEY);
+      expect(JSON.parse(response['1000-0'])).toEqual({ status: '200', duration_count: 3 });
+      expect(JSON.parse(response['1000-1'])).toEqual({ status: '500', duration_count: 1 });
+    });
+
+  });
+
+});
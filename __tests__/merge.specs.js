@@ -1,7 +1,9 @@
 const { createClient, insertData, getRange, merge } = require('./redis');
+const { TimeseriesClient } = require('../index');
 
 const SOURCE_KEY = 'redis-ts:merge:src1';
 const SOURCE_KEY2 = 'redis-ts:merge:src2';
+const SOURCE_KEY3 = 'redis-ts:merge:src3';
 const DEST_KEY = 'redis-ts:merge:dest';
 
 const first_names = ['Alice', 'Bob', 'Charlie', 'Denise', 'Erick', 'Fernanda', 'Gerald', 'Hermione', 'Idris', 'Jamilah'];
@@ -74,9 +76,15 @@ describe('merge', () => {
     updateSet(first);
     updateSet(second);
 
+    // stream values are returned as strings
+    const stringify = (hash) => Object.keys(hash).reduce((res, k) => {
+      res[k] = String(hash[k]);
+      return res;
+    }, {});
+
     const timestamps = Array.from( mergedSet.keys() ).sort();
     return timestamps.reduce((res, ts) => {
-      res.push([ts, mergedSet.get(ts)]);
+      res.push([ts, stringify(mergedSet.get(ts))]);
       return res;
     }, []);
   }
@@ -228,5 +236,89 @@ describe('merge', () => {
 
   });
 
+  describe('several sources', () => {
+    let ts;
+
+    beforeEach(async () => {
+      ts = new TimeseriesClient(client);
+      await ts.bulkAdd(SOURCE_KEY, [[1000, { value: 1, state: 'on' }], [1002, { value: 2 }]]);
+      await ts.bulkAdd(SOURCE_KEY2, [[1001, { value: 10 }], [1002, { value: 20, state: 'off' }]]);
+      await ts.bulkAdd(SOURCE_KEY3, [[1002, { value: 100, load: 5 }], [1003, { value: 200 }]]);
+    });
+
+    const run = (...options) => ts.merge([SOURCE_KEY, SOURCE_KEY2, SOURCE_KEY3], DEST_KEY, '-', '+', ...options);
+
+    test('sum', async () => {
+      expect(await run()).toEqual(4);
+      expect(await getRange(client, DEST_KEY, '-', '+')).toEqual([
+        ['1000-0', { value: '1', state: 'on' }],
+        ['1001-0', { value: '10' }],
+        ['1002-0', { value: '122', load: '5' }],
+        ['1003-0', { value: '200' }]
+      ]);
+    });
+
+    test('sum of decimals', async () => {
+      await ts.bulkAdd(SOURCE_KEY, [[1004, { value: 1.1 }], [1005, { value: 1.5 }]]);
+      await ts.bulkAdd(SOURCE_KEY2, [[1004, { value: 2.2 }], [1005, { value: 1.5 }]]);
+      await run();
+      expect(await getRange(client, DEST_KEY, 1004, 1005)).toEqual([
+        ['1004-0', { value: '3.3' }],
+        ['1005-0', { value: '3' }]
+      ]);
+    });
+
+    test('first', async () => {
+      await run('ON_CONFLICT', 'first');
+      const actual = await getRange(client, DEST_KEY, 1002, 1002);
+      expect(actual).toEqual([['1002-0', { value: '2' }]]);
+    });
+
+    test('last', async () => {
+      await run('ON_CONFLICT', 'last');
+      const actual = await getRange(client, DEST_KEY, 1002, 1002);
+      expect(actual).toEqual([['1002-0', { value: '100', load: '5' }]]);
+    });
+
+    test('combine', async () => {
+      await run('ON_CONFLICT', 'combine');
+      const actual = await getRange(client, DEST_KEY, 1002, 1002);
+      expect(actual).toEqual([['1002-0', { value: '100', state: 'off', load: '5' }]]);
+    });
+
+    test('with filters', async () => {
+      await run('FILTER', 'value<50', 'ON_CONFLICT', 'combine');
+      expect(await getRange(client, DEST_KEY, '-', '+')).toEqual([
+        ['1000-0', { value: '1', state: 'on' }],
+        ['1001-0', { value: '10' }],
+        ['1002-0', { value: '20', state: 'off' }]
+      ]);
+    });
+
+    test('pages', async () => {
+      const values = [];
+      for (let i = 0; i < 1200; i++) {
+        values.push([2000 + i, { value: i }]);
+      }
+      await ts.bulkAdd(SOURCE_KEY2, values);
+      expect(await run()).toEqual(1204);
+      expect(await getRange(client, DEST_KEY, 3199, '+')).toEqual([['3199-0', { value: '1199' }]]);
+    });
+
+    test('validation', async () => {
+      await expect(run('ON_CONFLICT', 'max')).rejects.toThrow(/ON_CONFLICT: Expecting "first", "last", "combine" or "sum"/);
+      await expect(ts.merge([], DEST_KEY, '-', '+')).rejects.toThrow(/MERGE: the number of sources expected/);
+      await expect(ts.call([SOURCE_KEY, DEST_KEY], 'merge', 2, '-', '+')).rejects.toThrow(/MERGE: 2 sources and a destination expected/);
+    });
+
+    test('into a series with rules', async () => {
+      await ts.createRule(DEST_KEY, `${DEST_KEY}:2s`, 'AGGREGATION', 2, 'sum(value)');
+      await ts.createRule(`${DEST_KEY}:2s`, `${DEST_KEY}:4s`, 'AGGREGATION', 4, 'max(value_sum)');
+      expect(await run()).toEqual(4);
+      expect(await getRange(client, `${DEST_KEY}:2s`, '-', '+')).toEqual([['1000-0', { value_sum: '11' }]]);
+      expect(await getRange(client, `${DEST_KEY}:4s`, '-', '+')).toEqual([]);
+    });
+
+  });
 
 });
@@ -0,0 +1,111 @@
+const { createClient } = require('./redis');
+const { TimeseriesClient, INDEX_KEY } = require('../index');
+
+const TEMP_KEY = 'ts:meta:temp';
+const HUMIDITY_KEY = 'ts:meta:humidity';
+const PRESSURE_KEY = 'ts:meta:pressure';
+
+describe('meta', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function setLabels() {
+    await ts.setMeta(TEMP_KEY, { units: 'celsius', host: 'sensor-1' });
+    await ts.setMeta(HUMIDITY_KEY, { units: 'percent', host: 'sensor-1' });
+    await ts.setMeta(PRESSURE_KEY, { units: 'hPa', host: 'sensor-2', indoor: 'yes' });
+  }
+
+  it('should set, get and delete labels', async () => {
+    expect(await ts.getMeta(TEMP_KEY)).toEqual({});
+    expect(await ts.setMeta(TEMP_KEY, { units: 'celsius', host: 'sensor-1' })).toBe(2);
+    expect(await ts.setMeta(TEMP_KEY, ['host', 'sensor-2', 'floor', 3])).toBe(1);
+    expect(await ts.getMeta(TEMP_KEY)).toEqual({ floor: '3', host: 'sensor-2', units: 'celsius' });
+    expect(await ts.getMeta(TEMP_KEY, 'units', 'missing')).toEqual({ units: 'celsius' });
+
+    expect(await ts.delMeta(TEMP_KEY, 'floor', 'missing')).toBe(1);
+    expect(await ts.getMeta(TEMP_KEY)).toEqual({ host: 'sensor-2', units: 'celsius' });
+    expect(await ts.delMeta(TEMP_KEY)).toBe(2);
+    expect(await ts.getMeta(TEMP_KEY)).toEqual({});
+  });
+
+  it('should validate its arguments', async () => {
+    await expect(ts.call([TEMP_KEY, INDEX_KEY], 'meta', 'list')).rejects.toThrow(/META: expected SET, GET or DEL/);
+    await expect(ts.call([TEMP_KEY], 'meta', 'get')).rejects.toThrow(/META: an index key expected/);
+    await expect(ts.call([], 'queryindex', 'units=celsius')).rejects.toThrow(/QUERYINDEX: an index key expected/);
+    await expect(ts.setMeta(TEMP_KEY, { 'bad label': 1 })).rejects.toThrow(/META: invalid label "bad label"/);
+    await expect(ts.setMeta(TEMP_KEY, ['units'])).rejects.toThrow(/Number of arguments must be even/);
+    await expect(ts.queryIndex()).rejects.toThrow(/QUERYINDEX: at least one matcher expected/);
+    await expect(ts.queryIndex('units')).rejects.toThrow(/QUERYINDEX: invalid matcher "units"/);
+  });
+
+  it('should find series by label value', async () => {
+    await setLabels();
+    expect(await ts.queryIndex('host=sensor-1')).toEqual([HUMIDITY_KEY, TEMP_KEY]);
+    expect(await ts.queryIndex('host=sensor-1', 'units=celsius')).toEqual([TEMP_KEY]);
+    expect(await ts.queryIndex('host=(sensor-2, sensor-3)')).toEqual([PRESSURE_KEY]);
+    expect(await ts.queryIndex('host=sensor-3')).toEqual([]);
+  });
+
+  it('should exclude series by label value', async () => {
+    await setLabels();
+    expect(await ts.queryIndex('host=sensor-1', 'units!=percent')).toEqual([TEMP_KEY]);
+    expect(await ts.queryIndex('units!=(percent,hPa)')).toEqual([TEMP_KEY]);
+  });
+
+  it('should match on the presence of a label', async () => {
+    await setLabels();
+    expect(await ts.queryIndex('indoor!=')).toEqual([PRESSURE_KEY]);
+    expect(await ts.queryIndex('indoor=')).toEqual([HUMIDITY_KEY, TEMP_KEY]);
+    expect(await ts.queryIndex('indoor!=no')).toEqual([HUMIDITY_KEY, PRESSURE_KEY, TEMP_KEY]);
+  });
+
+  it('should keep the index up to date', async () => {
+    await setLabels();
+    await ts.setMeta(TEMP_KEY, { host: 'sensor-2' });
+    expect(await ts.queryIndex('host=sensor-1')).toEqual([HUMIDITY_KEY]);
+    expect(await ts.queryIndex('host=sensor-2')).toEqual([PRESSURE_KEY, TEMP_KEY]);
+
+    await ts.delMeta(PRESSURE_KEY, 'indoor');
+    expect(await ts.queryIndex('indoor!=')).toEqual([]);
+
+    await ts.delMeta(HUMIDITY_KEY);
+    expect(await ts.queryIndex('units!=hPa')).toEqual([TEMP_KEY]);
+  });
+
+  it('should use the index key it is given', async () => {
+    const tagged = new TimeseriesClient(client, { indexKey: '{ts:meta}:index' });
+    await tagged.setMeta('{ts:meta}:temp', { units: 'celsius' });
+    expect(await tagged.queryIndex('units=celsius')).toEqual(['{ts:meta}:temp']);
+    expect(await client.smembers('{ts:meta}:index:units=celsius')).toEqual(['{ts:meta}:temp']);
+    expect(await client.hgetall('{ts:meta}:temp:meta')).toEqual({ units: 'celsius' });
+    expect(await ts.queryIndex('units=celsius')).toEqual([]);
+  });
+
+  it('should remove a dropped series from the index', async () => {
+    await setLabels();
+    await ts.add(TEMP_KEY, 1000, { value: 20 });
+    await ts.retention(TEMP_KEY, 5000);
+    await ts.createRule(TEMP_KEY, `${TEMP_KEY}:1m`, 'AGGREGATION', 60000, 'avg(value)');
+
+    expect(await ts.drop(TEMP_KEY)).toBe(1);
+    expect(await ts.size(TEMP_KEY)).toBe(0);
+    expect(await ts.getMeta(TEMP_KEY)).toEqual({});
+    expect(await ts.rules(TEMP_KEY)).toEqual({});
+    expect(await ts.retention(TEMP_KEY)).toBeNull();
+    expect(await ts.queryIndex('host=sensor-1')).toEqual([HUMIDITY_KEY]);
+    expect(await ts.queryIndex('host!=sensor-2')).toEqual([HUMIDITY_KEY]);
+    expect(await client.smembers(`{${INDEX_KEY}}:units=celsius`)).toEqual([]);
+    expect(await ts.drop(TEMP_KEY)).toBe(0);
+  });
+
+});
@@ -0,0 +1,117 @@
+const { createClient } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const WEB1_KEY = 'ts:mrange:web1';
+const WEB2_KEY = 'ts:mrange:web2';
+const DB_KEY = 'ts:mrange:db';
+
+describe('mrange', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertData() {
+    await ts.bulkAdd(WEB1_KEY, [[1000, { cpu: 10 }], [1005, { cpu: 30 }], [1010, { cpu: 50 }]]);
+    await ts.bulkAdd(WEB2_KEY, [[1001, { cpu: 20 }], [1012, { cpu: 40 }], [1021, { cpu: 5 }]]);
+    await ts.bulkAdd(DB_KEY, [[1002, { cpu: 90 }]]);
+    await ts.setMeta(WEB1_KEY, { role: 'web' });
+    await ts.setMeta(WEB2_KEY, { role: 'web' });
+    await ts.setMeta(DB_KEY, { role: 'db' });
+  }
+
+  it('should return the range of each series by key', async () => {
+    await insertData();
+    const actual = await ts.mrange([WEB1_KEY, WEB2_KEY], 1000, 1010, 'FILTER', 'cpu>10');
+    expect(actual).toEqual({
+      [WEB1_KEY]: [['1005-0', { cpu: '30' }], ['1010-0', { cpu: '50' }]],
+      [WEB2_KEY]: [['1001-0', { cpu: '20' }]]
+    });
+  });
+
+  it('should aggregate each series', async () => {
+    await insertData();
+    const actual = await ts.mrange([WEB1_KEY, WEB2_KEY], '-', '+', 'AGGREGATION', 10, 'max(cpu)');
+    expect(actual).toEqual({
+      [WEB1_KEY]: [[1000, { cpu: { max: 30 } }], [1010, { cpu: { max: 50 } }]],
+      [WEB2_KEY]: [[1000, { cpu: { max: 20 } }], [1010, { cpu: { max: 40 } }], [1020, { cpu: { max: 5 } }]]
+    });
+  });
+
+  it('should select series by label', async () => {
+    await insertData();
+    const actual = await ts.mrange([DB_KEY], '-', '+', 'AGGREGATION', 'ALL', 'count(cpu)', 'SELECT', 'role=web');
+    expect(actual).toEqual({
+      [DB_KEY]: [1002, 1002, { cpu: { count: 1 } }],
+      [WEB2_KEY]: [1001, 1021, { cpu: { count: 3 } }],
+      [WEB1_KEY]: [1000, 1010, { cpu: { count: 3 } }]
+    });
+    expect(await ts.mrange([], '-', '+', 'SELECT', 'role=mail')).toEqual({});
+  });
+
+  it('should pass the selected series to the script as keys', async () => {
+    await insertData();
+    const calls = [];
+    const call = ts.call.bind(ts);
+    ts.call = (keys, command, ...args) => {
+      calls.push([keys, command, ...args]);
+      return call(keys, command, ...args);
+    };
+    await ts.mrange([DB_KEY], '-', '+', 'SELECT', 'role=web', 'role!=db', 'FILTER', 'cpu>10');
+    expect(calls[calls.length - 1]).toEqual([[DB_KEY, WEB1_KEY, WEB2_KEY], 'mrange', '-', '+', 'FILTER', 'cpu>10']);
+    await expect(ts.mrange([], '-', '+', 'SELECT', 'REDUCE', 'sum')).rejects.toThrow(/SELECT: at least one matcher/);
+    await expect(ts.call([], 'mrange', '-', '+', 'SELECT', 'role=web')).rejects.toThrow(/Invalid option "SELECT"/);
+  });
+
+  it('should reduce buckets across series', async () => {
+    await insertData();
+    const run = (reduce) => ts.mrange([], '-', '+', 'AGGREGATION', 10, 'max(cpu)', 'SELECT', 'role=web', 'REDUCE', reduce);
+    expect(await run('sum')).toEqual([
+      [1000, { cpu: { max: 50 } }],
+      [1010, { cpu: { max: 90 } }],
+      [1020, { cpu: { max: 5 } }]
+    ]);
+    expect(await run('avg')).toEqual([
+      [1000, { cpu: { max: 25 } }],
+      [1010, { cpu: { max: 45 } }],
+      [1020, { cpu: { max: 5 } }]
+    ]);
+    expect(await run('max')).toEqual([
+      [1000, { cpu: { max: 30 } }],
+      [1010, { cpu: { max: 50 } }],
+      [1020, { cpu: { max: 5 } }]
+    ]);
+  });
+
+  it('should reduce aliased and whole range aggregations', async () => {
+    await insertData();
+    const aliased = await ts.mrange([WEB1_KEY, WEB2_KEY], '-', '+',
+      'AGGREGATION', 10, 'avg(cpu)', 'AS', 'load', 'REDUCE', 'max');
+    expect(aliased).toEqual([[1000, { load: 20 }], [1010, { load: 50 }], [1020, { load: 5 }]]);
+
+    const all = await ts.mrange([WEB1_KEY, WEB2_KEY, DB_KEY], '-', '+', 'AGGREGATION', 'ALL', 'count(cpu)', 'REDUCE', 'sum');
+    expect(all).toEqual([1000, 1021, { cpu: { count: 7 } }]);
+  });
+
+  it('should validate its arguments', async () => {
+    await insertData();
+    const run = (...args) => ts.mrange([WEB1_KEY], '-', '+', ...args);
+    await expect(run('REDUCE', 'sum')).rejects.toThrow(/REDUCE requires AGGREGATION/);
+    await expect(run('AGGREGATION', 10, 'max(cpu)', 'REDUCE', 'median')).rejects.toThrow(/REDUCE: Expecting "sum", "avg" or "max"/);
+    await expect(
+      run('AGGREGATION', 10, 'max(cpu)', 'GROUPBY', 'host', 'REDUCE', 'sum')
+    ).rejects.toThrow(/REDUCE cannot be combined with GROUPBY/);
+    await expect(run('AGGREGATION', 10, 'stats(cpu)', 'REDUCE', 'sum')).rejects.toThrow(/REDUCE: stats cannot be reduced/);
+    await expect(run('FORMAT', 'json')).rejects.toThrow(/Invalid option "FORMAT"/);
+    await expect(ts.range(WEB1_KEY, '-', '+', 'REDUCE', 'sum')).rejects.toThrow(/Invalid option "REDUCE"/);
+  });
+
+});
@@ -0,0 +1,274 @@
+const { createClient, insertData } = require('./redis');
+const { TimeseriesClient, Query } = require('../index');
+
+const TIMESERIES_KEY = 'ts:query';
+
+describe('query', () => {
+
+  describe('serialization', () => {
+
+    const query = () => new Query(null, TIMESERIES_KEY);
+
+    it('should default to the full range', () => {
+      expect(query().toArgs()).toEqual(['-', '+']);
+    });
+
+    it('should serialize filter conditions', () => {
+      const args = query()
+        .between(1000, 2000)
+        .where('temp', '>', 45)
+        .or('state', '=', 'alert')
+        .where('active', '=', true)
+        .toArgs();
+      expect(args).toEqual([1000, 2000, 'FILTER', 'temp>45', 'OR', 'state=alert', 'active=true']);
+    });
+
+    it('should serialize list conditions', () => {
+      const args = query()
+        .where('state', '!=', ['ready', 'almost done', 'a "quoted" value'])
+        .options();
+      expect(args).toEqual(['FILTER', 'state!=(ready,"almost done","a ""quoted"" value")']);
+    });
+
+    it('should accept raw conditions', () => {
+      const args = query().where('temp>45').and('temp<50').options();
+      expect(args).toEqual(['FILTER', 'temp>45', 'AND', 'temp<50']);
+    });
+
+    it('should serialize groups and negations', () => {
+      const args = query()
+        .where(q => q.where('temp', '>', 45).or('state', '=', 'alert'))
+        .not('state', '=', ['ready', 'idle'])
+        .or(q => q.not('temp<0'))
+        .options();
+      expect(args).toEqual([
+        'FILTER', '(', 'temp>45', 'OR', 'state=alert', ')', 'NOT', 'state=(ready,idle)', 'OR', '(', 'NOT', 'temp<0', ')'
+      ]);
+      expect(() => query().where(() => {})).toThrow(/condition expected/);
+    });
+
+    it('should serialize string matching conditions', () => {
+      const args = query().where('path', '^=', '/api').and('agent', '**=', 'curl').options();
+      expect(args).toEqual(['FILTER', 'path^=/api', 'AND', 'agent**=curl']);
+      expect(() => query().where('path', '^=', ['a', 'b'])).toThrow(/list of values/);
+    });
+
+    it('should serialize aggregation specs', () => {
+      const args = query()
+        .aggregate(5000, { avg: 'value', max: ['value', 'temp'] })
+        .options();
+      expect(args).toEqual(['AGGREGATION', 5000, 'avg(value)', 'max(value)', 'max(temp)']);
+    });
+
+    it('should serialize quantiles', () => {
+      const args = query()
+        .aggregate(5000, ['p95(latency)', 'quantile(0.999, latency)', 'QUANTILE(0.5,latency,exact)'])
+        .options();
+      expect(args).toEqual(['AGGREGATION', 5000, 'p95(latency)', 'quantile(0.999,latency)', 'quantile(0.5,latency,exact)']);
+      expect(() => query().aggregate(1000, 'quantile(value)')).toThrow(/quantile\(q, field\)/);
+      expect(() => query().aggregate(1000, { quantile: 'value' })).toThrow(/quantile\(q, field\)/);
+      expect(() => query().aggregate(1000, 'quantile(2,value)')).toThrow(/between 0 and 1/);
+      expect(() => query().aggregate(1000, 'quantile(0.5,value,fast)')).toThrow(/"auto", "exact" or "sketch"/);
+    });
+
+    it('should serialize time weighted aggregations', () => {
+      const args = query()
+        .aggregate(60000, ['twa(power)', 'twa(power, LINEAR)', 'integral(power, 1h)', 'integral(power,linear)'])
+        .options();
+      expect(args).toEqual([
+        'AGGREGATION', 60000, 'twa(power)', 'twa(power,linear)', 'integral(power,1h)', 'integral(power,linear)'
+      ]);
+      expect(query().aggregate(60000, { twa: 'power' }).options()).toEqual(['AGGREGATION', 60000, 'twa(power)']);
+      expect(() => query().aggregate(1000, 'twa(power,cubic)')).toThrow(/TWA: Expecting "step" or "linear"/);
+      expect(() => query().aggregate(1000, 'integral(power,1x)')).toThrow(/INTEGRAL: expected a duration/);
+      expect(() => query().aggregate(1000, 'twa(power,step,step)')).toThrow(/too many arguments/);
+    });
+
+    it('should serialize aliases, wildcards and lists of aggregations', () => {
+      const args = query()
+        .aggregate(5000, ['{min,MAX}(latency)', 'p95(latency) AS p95', 'avg(*)', 'twa(power, linear) as avg_power'])
+        .options();
+      expect(args).toEqual([
+        'AGGREGATION', 5000, 'min(latency)', 'max(latency)', 'p95(latency)', 'AS', 'p95', 'avg(*)',
+        'twa(power,linear)', 'AS', 'avg_power'
+      ]);
+      expect(query().aggregate(5000, { count: '*' }).options()).toEqual(['AGGREGATION', 5000, 'count(*)']);
+      expect(() => query().aggregate(1000, '{}(latency)')).toThrow(/invalid or missing aggregate spec/);
+      expect(() => query().aggregate(1000, 'avg(latency) AS 1x')).toThrow(/AS: invalid alias "1x"/);
+      expect(() => query().aggregate(1000, '{min,max}(latency) AS x')).toThrow(/single aggregation of a single field/);
+      expect(() => query().aggregate(1000, 'avg(*) AS x')).toThrow(/single aggregation of a single field/);
+      expect(() => query().aggregate(1000, ['avg(a) AS x', 'max(a) AS x'])).toThrow(/alias "x" is already used/);
+      expect(() => query().aggregate(1000, ['avg(a) AS b', 'max(b)'])).toThrow(/alias "b" is also an aggregated field/);
+    });
+
+    it('should serialize ALIGN and TIMEZONE after AGGREGATION', () => {
+      expect(query().align('start').aggregate('15m', 'avg(value)').options()).toEqual(
+        ['AGGREGATION', '15m', 'avg(value)', 'ALIGN', 'start']
+      );
+      expect(query().aggregate('1M', 'avg(value)').timezone('Europe/Paris').options('copy')).toEqual(
+        ['AGGREGATION', '1M', 'avg(value)', 'TIMEZONE', 'Europe/Paris']
+      );
+      expect(() => query().aggregate('15x', 'avg(value)')).toThrow(/must be a number or duration/);
+      expect(() => query().align('middle')).toThrow(/ALIGN: Expecting/);
+      expect(() => query().align(0).options()).toThrow(/ALIGN requires AGGREGATION/);
+      expect(() => query().aggregate('1d', 'avg(value)').align(0).options()).toThrow(/not supported with calendar/);
+      expect(() => query().aggregate(1000, 'avg(value)').timezone('UTC').options()).toThrow(/requires a calendar time bucket/);
+    });
+
+    it('should serialize AGGREGATION ALL', () => {
+      expect(query().aggregate('all', 'max(temp)').options()).toEqual(['AGGREGATION', 'ALL', 'max(temp)']);
+      expect(() => query().aggregate('ALL', 'max(temp)').align('start').options()).toThrow(/ALIGN is not supported/);
+      expect(() => query().aggregate('ALL', 'max(temp)').empty('zero').options()).toThrow(/EMPTY is not supported/);
+      expect(() => query().aggregate('ALL', 'max(temp)').timezone('UTC').options()).toThrow(/requires a calendar time bucket/);
+    });
+
+    it('should serialize WINDOW', () => {
+      expect(query().window('SMA(value, 10)', ['ewma(value,0.3)', 'max(value, 5m)']).options()).toEqual(
+        ['WINDOW', 'sma(value,10)', 'ewma(value,0.3)', 'max(value,5m)']
+      );
+      expect(() => query().window()).toThrow(/at least one function/);
+      expect(() => query().window('median(value, 3)')).toThrow(/invalid function "median"/);
+      expect(() => query().window('sma(value, 0)')).toThrow(/number of values or a duration/);
+      expect(() => query().window('ewma(value, 2)')).toThrow(/alpha must be a number between 0 and 1/);
+      expect(() => query().window('sma(value, 3)').window('SMA(value, 10)')).toThrow(/sma\(value\) specified more than once/);
+      expect(() => query().window('sma(value, 3)').aggregate(10, 'avg(value)').options()).toThrow(/cannot be combined/);
+    });
+
+    it('should serialize EMPTY', () => {
+      expect(query().aggregate(10, 'avg(value)').empty('LINEAR').options()).toEqual(
+        ['AGGREGATION', 10, 'avg(value)', 'EMPTY', 'linear']
+      );
+      expect(() => query().empty('average')).toThrow(/EMPTY: Expecting/);
+      expect(() => query().empty('zero').options()).toThrow(/EMPTY requires AGGREGATION/);
+    });
+
+    it('should serialize GROUPBY after AGGREGATION', () => {
+      const args = query().groupBy('endpoint', ['status']).aggregate(60000, 'avg(duration)').options('copy');
+      expect(args).toEqual(['AGGREGATION', 60000, 'avg(duration)', 'GROUPBY', 'endpoint', 'status']);
+      expect(() => query().groupBy('endpoint').options()).toThrow(/GROUPBY requires AGGREGATION/);
+      expect(() => query().groupBy()).toThrow(/at least one field/);
+    });
+
+    it('should serialize LIMIT', () => {
+      const args = query().labels('a', 'b').where('a', '>', 1).limit(100).options();
+      expect(args).toEqual(['LIMIT', 100, 'FILTER', 'a>1', 'LABELS', 'a', 'b']);
+    });
+
+    it('should not allow both LABELS and REDACT', () => {
+      expect(() => query().labels('a').redact('b')).toThrow(/REDACT or LABELS/);
+      expect(() => query().redact('b').labels('a')).toThrow(/REDACT or LABELS/);
+    });
+
+    it('should validate aggregation types', () => {
+      expect(() => query().aggregate(1000, 'mean(value)')).toThrow(/invalid aggregation type/);
+      expect(() => query().aggregate(1000, {})).toThrow(/No fields/);
+      expect(() => query().aggregate('abc', 'avg(value)')).toThrow(/must be a number/);
+    });
+
+    it('should validate filter operators', () => {
+      expect(() => query().where('a', '=>', 1)).toThrow(/invalid operator/);
+      expect(() => query().where('a', '>', [1, 2])).toThrow(/list of values/);
+      expect(() => query().or('a', '>', 1)).toThrow(/must follow a condition/);
+    });
+
+    it('should validate options against the command', () => {
+      const q = query().where('a', '>', 1).labels('a');
+      expect(() => q.toArgs('count')).toThrow(/Invalid option "LABELS"/);
+      expect(() => query().format('xml')).toThrow(/FORMAT/);
+      expect(() => query().format('json').toArgs('copy')).toThrow(/Invalid option "FORMAT"/);
+      expect(() => query().onConflict('max')).toThrow(/ON_CONFLICT/);
+      expect(() => query().onConflict('first').toArgs('copy')).toThrow(/Invalid option "ON_CONFLICT"/);
+    });
+
+    it('should serialize merge options', () => {
+      const args = query().where('value', '<', 50).storage('hash').onConflict('COMBINE').toArgs('merge');
+      expect(args).toEqual(['-', '+', 'FILTER', 'value<50', 'STORAGE', 'hash', 'ON_CONFLICT', 'combine']);
+    });
+
+    it('should pass the merged series to the client', () => {
+      const calls = [];
+      const client = { merge: (...args) => calls.push(args) };
+      new Query(client, TIMESERIES_KEY).between(1000, 2000).onConflict('last').merge(['ts:b', 'ts:c'], 'ts:dest');
+      new Query(client, TIMESERIES_KEY).merge('ts:b', 'ts:dest');
+      expect(calls).toEqual([
+        [[TIMESERIES_KEY, 'ts:b', 'ts:c'], 'ts:dest', 1000, 2000, 'ON_CONFLICT', 'last'],
+        [[TIMESERIES_KEY, 'ts:b'], 'ts:dest', '-', '+']
+      ]);
+    });
+
+  });
+
+  describe('execution', () => {
+    let client;
+    let ts;
+
+    const start_ts = 1488823384;
+
+    beforeEach(async () => {
+      client = await createClient();
+      ts = new TimeseriesClient(client);
+      return client.flushdb();
+    });
+
+    afterEach(() => {
+      return client.quit();
+    });
+
+    it('should execute a range query', async () => {
+      const data = [];
+      for (let i = 0; i < 20; i++) {
+        data.push({ value: i, state: i % 2 ? 'odd' : 'even' });
+      }
+      await insertData(client, TIMESERIES_KEY, start_ts, data.length, data);
+
+      const actual = await ts.query(TIMESERIES_KEY)
+        .between(start_ts, start_ts + 10)
+        .where('state', '=', 'odd')
+        .where('value', '>', 4)
+        .labels('value')
+        .range();
+
+      expect(actual.map(x => x[1])).toEqual([
+        { value: '5' },
+        { value: '7' },
+        { value: '9' }
+      ]);
+    });
+
+    it('should execute grouped conditions', async () => {
+      const data = [];
+      for (let i = 0; i < 20; i++) {
+        data.push({ value: i, state: i % 2 ? 'odd' : 'even' });
+      }
+      await insertData(client, TIMESERIES_KEY, start_ts, data.length, data);
+
+      const actual = await ts.query(TIMESERIES_KEY)
+        .where(q => q.where('value', '<', 3).or('value', '>', 15))
+        .not('state', '=', 'odd')
+        .labels('value')
+        .range();
+
+      expect(actual.map(x => x[1].value)).toEqual(['0', '2', '16', '18']);
+    });
+
+    it('should execute an aggregation of the whole range', async () => {
+      await insertData(client, TIMESERIES_KEY, start_ts, 10, [3, 1, 4, 1, 5, 9, 2, 6, 5, 3]);
+      const actual = await ts.query(TIMESERIES_KEY)
+        .between(start_ts + 1, start_ts + 8)
+        .aggregate('ALL', { max: 'value', min: 'value' })
+        .range();
+      expect(actual).toEqual([start_ts + 1, start_ts + 8, { value: { max: 9, min: 1 } }]);
+
+      const empty = await ts.query(TIMESERIES_KEY).between(0, 10).aggregate('ALL', 'max(value)').range();
+      expect(empty).toBeNull();
+    });
+
+    it('should execute a count query', async () => {
+      await insertData(client, TIMESERIES_KEY, start_ts, 10, 5);
+      const count = await ts.query(TIMESERIES_KEY).where('value', '=', 5).count();
+      expect(count).toBe(10);
+    });
+
+  });
+
+});
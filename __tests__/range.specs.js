@@ -62,6 +62,18 @@ describe('range', () => {
     });
   });
 
+  it('should apply the options following a LIMIT', async () => {
+    const data = [];
+
+    for (let i = 0; i < samples_count; i++) {
+      data.push( (i + 1) * 5 )
+    }
+
+    await insert_data(start_ts, samples_count, data);
+    const received = await get_range(start_ts, start_ts + samples_count, 'LIMIT', 3, 'FILTER', 'value>5');
+    expect(received.map(x => x[1].value)).toEqual(['10', '15']);
+  });
+
   it('supports special range syntax', async () => {
     const data = [];
 
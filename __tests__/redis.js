@@ -1,6 +1,12 @@
 const Redis = require('ioredis');
 const path = require('path');
 const fs = require('fs');
+const {
+  parseObjectResponse,
+  parseMessageResponse,
+  parseAggregationResponse,
+  parseRangeResponse
+} = require('../lib/parsers');
 
 let script = null;
 const scriptPath = path.resolve(__dirname, '../timeseries.lua');
@@ -102,44 +108,6 @@ async function insertData(client, key, start_ts, samples_count, data) {
 
 }
 
-// https://github.com/luin/ioredis/issues/747
-
-function parseObjectResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return reply
-  }
-  const data = {};
-  for (let i = 0; i < reply.length; i += 2) {
-    const val = reply[i + 1];
-    data[reply[i]] = Array.isArray(val) ? parseObjectResponse(val) : val;
-  }
-  return data
-}
-
-function parseMessageResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return [];
-  }
-  return reply.map((message) => {
-    return [message[0], parseObjectResponse(message[1])]
-  })
-}
-
-function parseAggregationResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return [];
-  }
-  const data = [];
-  for (let i = 0; i < reply.length; i += 2) {
-    data.push([
-        reply[i],
-        parseObjectResponse(reply[i+1])
-    ]);
-  }
-  return data
-}
-
-
 async function getSingleValue(client, key, timestamp, name) {
   const ra = await client.xrange(key, timestamp, timestamp, 'count', 2).then(parseMessageResponse);
   if (!ra || ra.length === 0) return null;
@@ -152,12 +120,8 @@ async function getSingleValue(client, key, timestamp, name) {
 }
 
 async function getRangeEx(client, cmd, key, min, max, ...args) {
-  const isAggregation = args.find(x => typeof(x) === 'string' && x.toUpperCase() === 'AGGREGATION');
   const response = await client.timeseries(key, cmd, min, max, ...args);
-  if (isAggregation) {
-    return parseAggregationResponse(response);
-  }
-  return parseMessageResponse(response);
+  return parseRangeResponse(response, args);
 }
 
 async function getRange(client, key, min, max, ...args) {
@@ -177,7 +141,7 @@ async function copy(client, src, dest, min, max, ...args) {
 async function merge(client, src1, src2, dest, min, max, ...args) {
   const sha = client.scriptsSet['timeseries'].sha;
 
-  return client.evalsha(sha, 3, src1, src2, dest, 'merge', min, max, ...args);
+  return client.evalsha(sha, 3, src1, src2, dest, 'merge', 2, min, max, ...args);
 }
 
 
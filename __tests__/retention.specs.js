@@ -0,0 +1,95 @@
+const { createClient, getRange } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:retention';
+
+describe('retention', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function addValues(...timestamps) {
+    for (const timestamp of timestamps) {
+      await client.timeseries(TIMESERIES_KEY, 'add', timestamp, 'value', timestamp);
+    }
+  }
+
+  async function getTimestamps() {
+    const response = await getRange(client, TIMESERIES_KEY, '-', '+');
+    return response.map(([id]) => parseInt(id, 10));
+  }
+
+  it('should set and get the retention period', async () => {
+    expect(await ts.retention(TIMESERIES_KEY)).toBeNull();
+    expect(await ts.retention(TIMESERIES_KEY, 5000)).toBe(5000);
+    expect(await ts.retention(TIMESERIES_KEY)).toBe(5000);
+    expect(await ts.retention(TIMESERIES_KEY, '2h')).toBe(7200000);
+    expect(await ts.retention(TIMESERIES_KEY, '20d')).toBe(20 * 86400000);
+    expect(await ts.retention(TIMESERIES_KEY, '1w')).toBe(7 * 86400000);
+    expect(await ts.retention(TIMESERIES_KEY, 0)).toBe(0);
+    expect(await ts.retention(TIMESERIES_KEY)).toBeNull();
+  });
+
+  it('should validate the retention period', async () => {
+    await expect(ts.retention(TIMESERIES_KEY, '30x')).rejects.toThrow(/RETENTION: expected a duration/);
+    await expect(ts.retention(TIMESERIES_KEY, -10)).rejects.toThrow(/RETENTION: expected a duration/);
+  });
+
+  it('should remove expired entries on add', async () => {
+    await ts.retention(TIMESERIES_KEY, 100);
+    await addValues(1000, 1050, 1100);
+    expect(await getTimestamps()).toEqual([1000, 1050, 1100]);
+    await addValues(1160);
+    expect(await getTimestamps()).toEqual([1100, 1160]);
+  });
+
+  it('should remove expired entries on bulkAdd', async () => {
+    await addValues(1000, 1050);
+    await ts.retention(TIMESERIES_KEY, 100);
+    await ts.bulkAdd(TIMESERIES_KEY, [[1100, { value: 1 }], [1151, { value: 2 }]]);
+    expect(await getTimestamps()).toEqual([1100, 1151]);
+  });
+
+  it('should keep entries indefinitely without a retention period', async () => {
+    await addValues(1000, 50000, 100000);
+    expect(await getTimestamps()).toEqual([1000, 50000, 100000]);
+  });
+
+  it('should trim entries older than a timestamp', async () => {
+    await addValues(1000, 1050, 1100, 1150);
+    expect(await ts.trimtime(TIMESERIES_KEY, 1100)).toBe(2);
+    expect(await getTimestamps()).toEqual([1100, 1150]);
+    expect(await ts.trimtime(TIMESERIES_KEY, 1100)).toBe(0);
+    await expect(ts.trimtime(TIMESERIES_KEY, 'yesterday')).rejects.toThrow(/TRIMTIME: timestamp expected/);
+  });
+
+  it('should trim in chunks', async () => {
+    const values = [];
+    for (let i = 1; i <= 1200; i++) {
+      values.push([i, { value: i }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, values);
+    expect(await ts.call([TIMESERIES_KEY], 'trimtime', 1101)).toBe(1000);
+    expect(await ts.call([TIMESERIES_KEY], 'trimtime', 1101, 'COUNT', 60)).toBe(60);
+    expect(await ts.size(TIMESERIES_KEY)).toBe(140);
+    expect(await ts.trimtime(TIMESERIES_KEY, 1101, 20)).toBe(40);
+    expect(await ts.size(TIMESERIES_KEY)).toBe(100);
+  });
+
+  it('should validate the trimtime count', async () => {
+    await addValues(1000);
+    await expect(ts.call([TIMESERIES_KEY], 'trimtime', 1100, 'LIMIT', 10)).rejects.toThrow(/TRIMTIME: expected COUNT count/);
+    await expect(ts.call([TIMESERIES_KEY], 'trimtime', 1100, 'COUNT', 0)).rejects.toThrow(/COUNT must be a positive integer/);
+    await expect(ts.call([TIMESERIES_KEY], 'trimtime', 1100, 'COUNT')).rejects.toThrow(/TRIMTIME: expected COUNT count/);
+  });
+
+});
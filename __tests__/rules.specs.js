@@ -0,0 +1,194 @@
+const { createClient, getRange } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const SOURCE_KEY = 'ts:rules';
+const MINUTE_KEY = 'ts:rules:10';
+const HOUR_KEY = 'ts:rules:30';
+
+describe('rules', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function addValues(values) {
+    for (const [timestamp, value] of values) {
+      await ts.add(SOURCE_KEY, timestamp, { value });
+    }
+  }
+
+  it('should roll up a bucket once it is closed', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'avg(value)', 'max(value)');
+    await addValues([[101, 1], [105, 3], [112, 5]]);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_avg: '2', value_max: '3' }]
+    ]);
+
+    await addValues([[118, 7], [125, 2]]);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_avg: '2', value_max: '3' }],
+      ['110-0', { value_avg: '6', value_max: '7' }]
+    ]);
+  });
+
+  it('should roll up the buckets closed by bulkAdd', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'sum(value)');
+    await ts.bulkAdd(SOURCE_KEY, [[101, { value: 1 }], [102, { value: 2 }], [115, { value: 3 }], [141, { value: 4 }]]);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_sum: '3' }],
+      ['110-0', { value_sum: '3' }]
+    ]);
+  });
+
+  it('should include entries added before the rule in the open bucket', async () => {
+    await addValues([[95, 100], [101, 1], [102, 2]]);
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'count(value)');
+    await addValues([[111, 3]]);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_count: '2' }]
+    ]);
+  });
+
+  it('should apply FILTER and GROUPBY', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'max(value)', 'GROUPBY', 'host', 'FILTER', 'value<10');
+    await ts.add(SOURCE_KEY, 101, { value: 1, host: 'b' });
+    await ts.add(SOURCE_KEY, 102, { value: 4, host: 'a' });
+    await ts.add(SOURCE_KEY, 103, { value: 50, host: 'a' });
+    await ts.add(SOURCE_KEY, 111, { value: 2, host: 'a' });
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { host: 'a', value_max: '4' }],
+      ['100-1', { host: 'b', value_max: '1' }]
+    ]);
+  });
+
+  it('should roll up entries removed from the source before their bucket closes', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'sum(value)', 'min(*)');
+    await addValues([[101, 1], [105, 3]]);
+    await ts.trimtime(SOURCE_KEY, 110);
+    await addValues([[112, 5]]);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_sum: '4', value_min: '1' }]
+    ]);
+  });
+
+  it('should roll up entries copied into a series', async () => {
+    const other = 'ts:rules:other';
+    await ts.bulkAdd(other, [[101, { value: 1 }], [105, { value: 3 }], [112, { value: 5 }], [141, { value: 7 }]]);
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'sum(value)');
+    await ts.retention(SOURCE_KEY, 20);
+
+    // without a filter, copy takes a faster path which must still apply rules and retention
+    expect(await ts.copy(other, SOURCE_KEY, '-', 112)).toBe(3);
+    expect(await ts.copy(other, SOURCE_KEY, 141, '+', 'FILTER', 'value>0')).toBe(1);
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([
+      ['100-0', { value_sum: '4' }],
+      ['110-0', { value_sum: '5' }]
+    ]);
+    expect(await getRange(client, SOURCE_KEY, '-', '+')).toEqual([['141-0', { value: '7' }]]);
+  });
+
+  it('should chain rules', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'max(value)');
+    await ts.createRule(MINUTE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'sum(value_max)');
+    await addValues([[95, 1], [107, 3], [112, 5], [118, 7], [125, 2], [141, 10], [150, 1]]);
+    // the 120 bucket closes once an entry in the next 10 second bucket closes the 150 bucket
+    expect(await getRange(client, HOUR_KEY, '-', '+')).toEqual([
+      ['90-0', { value_max_sum: '11' }]
+    ]);
+    await addValues([[161, 1]]);
+    expect(await getRange(client, HOUR_KEY, '-', '+')).toEqual([
+      ['90-0', { value_max_sum: '11' }],
+      ['120-0', { value_max_sum: '12' }]
+    ]);
+  });
+
+  it('should not add to a series whose rule destinations have later entries', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'max(value)');
+    await ts.createRule(MINUTE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'max(value_max)');
+    await addValues([[101, 1], [112, 2]]);
+    await client.xadd(HOUR_KEY, 95, 'value_max_max', 9);
+
+    // the chained rule would store its open 90 bucket, which already has an entry
+    await expect(ts.add(SOURCE_KEY, 121, { value: 3 })).rejects.toThrow(/RULES: destination "ts:rules:30" already has entries from 90/);
+    await client.xadd(MINUTE_KEY, 115, 'value_max', 9);
+    await expect(ts.add(SOURCE_KEY, 121, { value: 3 })).rejects.toThrow(/RULES: destination "ts:rules:10" already has entries from 110/);
+    expect(await ts.size(SOURCE_KEY)).toBe(2);
+  });
+
+  it('should require the destinations to be passed in KEYS', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'max(value)');
+    await ts.createRule(MINUTE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'max(value_max)');
+    await expect(
+      client.timeseries(SOURCE_KEY, 'add', 101, 'value', 1)
+    ).rejects.toThrow(/RULES: destination "ts:rules:10" must be passed in KEYS/);
+    await expect(
+      ts.call([SOURCE_KEY, MINUTE_KEY], 'add', 101, 'value', 1)
+    ).rejects.toThrow(/RULES: destination "ts:rules:30" must be passed in KEYS/);
+    expect(await ts.size(SOURCE_KEY)).toBe(0);
+
+    // the client looks up the destinations of a series when they are missing
+    const other = new TimeseriesClient(client);
+    await other.add(SOURCE_KEY, 101, { value: 1 });
+    await ts.deleteRule(MINUTE_KEY, HOUR_KEY);
+    await ts.createRule(MINUTE_KEY, `${HOUR_KEY}:copy`, 'AGGREGATION', 30, 'max(value_max)');
+    await other.add(SOURCE_KEY, 111, { value: 2 });
+    expect(await getRange(client, MINUTE_KEY, '-', '+')).toEqual([['100-0', { value_max: '1' }]]);
+  });
+
+  it('should not drop a rule destination', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'max(value)');
+    await ts.createRule(MINUTE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'max(value_max)');
+    await addValues([[101, 1], [112, 2]]);
+    await expect(ts.drop(MINUTE_KEY)).rejects.toThrow(/DROP: "ts:rules:10" is rolled up from "ts:rules", delete those rules first/);
+    expect(await ts.size(MINUTE_KEY)).toBe(1);
+
+    await ts.deleteRule(SOURCE_KEY, MINUTE_KEY);
+    expect(await ts.drop(MINUTE_KEY)).toBe(1);
+    expect(await ts.rules(MINUTE_KEY)).toEqual({});
+    // the destination of the dropped series may now be dropped in turn
+    expect(await ts.drop(HOUR_KEY)).toBe(0);
+    await addValues([[121, 3]]);
+    expect(await client.exists(MINUTE_KEY)).toBe(0);
+  });
+
+  it('should list and delete rules', async () => {
+    await ts.createRule(SOURCE_KEY, MINUTE_KEY, 'AGGREGATION', 10, 'avg(value)');
+    await ts.createRule(SOURCE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'max(value)');
+    expect(await ts.rules(SOURCE_KEY)).toEqual({
+      [MINUTE_KEY]: ['AGGREGATION', '10', 'avg(value)'],
+      [HOUR_KEY]: ['AGGREGATION', '30', 'max(value)']
+    });
+
+    expect(await ts.deleteRule(SOURCE_KEY, HOUR_KEY)).toBe(1);
+    expect(await ts.deleteRule(SOURCE_KEY, HOUR_KEY)).toBe(0);
+    await addValues([[101, 1], [131, 2]]);
+    expect(await ts.rules(SOURCE_KEY)).toEqual({
+      [MINUTE_KEY]: ['AGGREGATION', '10', 'avg(value)']
+    });
+    expect(await getRange(client, HOUR_KEY, '-', '+')).toEqual([]);
+  });
+
+  it('should validate rules', async () => {
+    const create = (dest, ...args) => ts.createRule(SOURCE_KEY, dest, ...args);
+    await expect(create(MINUTE_KEY, 'FILTER', 'value>1')).rejects.toThrow(/AGGREGATION expected/);
+    await expect(create(MINUTE_KEY, 'AGGREGATION', 'ALL', 'max(value)')).rejects.toThrow(/AGGREGATION ALL is not supported/);
+    await expect(create(MINUTE_KEY, 'AGGREGATION', 10, 'max(value)', 'EMPTY', 'zero')).rejects.toThrow(/Invalid option "EMPTY"/);
+    await expect(create(SOURCE_KEY, 'AGGREGATION', 10, 'max(value)')).rejects.toThrow(/source and destination must differ/);
+
+    await create(MINUTE_KEY, 'AGGREGATION', 10, 'max(value)');
+    await expect(create(MINUTE_KEY, 'AGGREGATION', 10, 'min(value)')).rejects.toThrow(/a rule for "ts:rules:10" already exists/);
+    await ts.createRule(MINUTE_KEY, HOUR_KEY, 'AGGREGATION', 30, 'max(value_max)');
+    await expect(
+      ts.createRule(HOUR_KEY, SOURCE_KEY, 'AGGREGATION', 60, 'max(value_max_max)')
+    ).rejects.toThrow(/"ts:rules" is already rolled up into "ts:rules:30"/);
+  });
+
+});
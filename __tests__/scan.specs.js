@@ -0,0 +1,97 @@
+const { createClient, insertData } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:scan';
+
+describe('scan', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1488823384;
+  const samples_count = 50;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function generateData() {
+    const data = [];
+    for (let i = 0; i < samples_count; i++) {
+      data.push({ value: i, state: i % 2 ? 'odd' : 'even' });
+    }
+    await insertData(client, TIMESERIES_KEY, start_ts, samples_count, data);
+    return data;
+  }
+
+  async function collect(iterator) {
+    const result = [];
+    for await (const entry of iterator) {
+      result.push(entry);
+    }
+    return result;
+  }
+
+  it('should return a page and a cursor', async () => {
+    await generateData();
+    const [cursor, page] = await client.timeseries(TIMESERIES_KEY, 'scan', '-', '+', 10);
+    expect(page.length).toBe(10);
+    expect(cursor).toBe(`${start_ts + 9}-1`);
+
+    const [last, rest] = await client.timeseries(TIMESERIES_KEY, 'scan', start_ts + 40, '+', 11);
+    expect(rest.length).toBe(10);
+    expect(last).toBeNull();
+  });
+
+  it('should iterate over all entries a page at a time', async () => {
+    const data = await generateData();
+    const actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 7 }));
+    expect(actual.map(x => x[1])).toEqual(data.map(x => ({ value: `${x.value}`, state: x.state })));
+  });
+
+  it('should iterate in reverse', async () => {
+    const data = await generateData();
+    const actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 8, reverse: true }));
+    const expected = data.map(x => `${x.value}`).reverse();
+    expect(actual.map(x => x[1].value)).toEqual(expected);
+  });
+
+  it('should support FILTER and LABELS', async () => {
+    const data = await generateData();
+    const iterator = ts.scan(TIMESERIES_KEY, start_ts, start_ts + 20, {
+      count: 5,
+      filter: 'state=odd',
+      labels: ['value']
+    });
+    const actual = await collect(iterator);
+    const expected = data.slice(0, 21).filter(x => x.state === 'odd').map(x => ({ value: `${x.value}` }));
+    expect(actual.map(x => x[1])).toEqual(expected);
+  });
+
+  it('should scan using a query', async () => {
+    await generateData();
+    const iterator = ts.query(TIMESERIES_KEY).where('value', '>=', 45).redact('state').scan({ count: 3 });
+    const actual = await collect(iterator);
+    expect(actual.map(x => x[1])).toEqual(
+      ['45', '46', '47', '48', '49'].map(value => ({ value }))
+    );
+  });
+
+  it('should provide a readable stream', async () => {
+    const data = await generateData();
+    const stream = ts.scanStream(TIMESERIES_KEY, '-', '+', { count: 4, filter: 'state=even' });
+    const actual = await new Promise((resolve, reject) => {
+      const result = [];
+      stream.on('data', entry => result.push(entry));
+      stream.on('end', () => resolve(result));
+      stream.on('error', reject);
+    });
+    expect(actual.length).toBe(data.filter(x => x.state === 'even').length);
+  });
+
+});
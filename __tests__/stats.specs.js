@@ -45,14 +45,15 @@ describe('stats', () => {
     await insertData(TIMESERIES_KEY, raw_data);
     const filtered = raw_data.filter(([id, val]) => id >= 10 && id <= 50).map(([id, val]) => val);
 
+    const rounded = ['std', 'var', 'skew', 'kurtosis'];
     let expected = calc_stats(filtered);
-    expected.std = round(expected.std, 5)
+    rounded.forEach(k => expected[k] = round(expected[k], 5));
     const { value } = await getStats(client, TIMESERIES_KEY, 10, 50, 'LABELS', 'value');
     // convert strings to floats in server response
 
     Object.keys(value).forEach(k => {
       value[k] = parseFloat(value[k]);
-      if (k === 'std') value[k] = round(value[k], 5);
+      if (rounded.includes(k)) value[k] = round(value[k], 5);
     });
 
     // for now, just make sure we have objects returned with the proper shape
@@ -60,4 +61,17 @@ describe('stats', () => {
     expect(value).toEqual(expected);
   });
 
+  test('returns null for undefined values', async () => {
+    await insertData(TIMESERIES_KEY, [[10, 5], [11, 5]]);
+    await client.timeseries(TIMESERIES_KEY, 'add', 12, 'state', 'ok');
+    const { value, state } = await getStats(client, TIMESERIES_KEY, '-', '+', 'LABELS', 'value', 'state');
+    expect(value.var).toBe(0);
+    expect(value.skew).toBeNull();
+    expect(value.kurtosis).toBeNull();
+    expect(value.mode).toBe(5);
+    expect(state.count).toBe(0);
+    expect(state.min).toBeNull();
+    expect(state.mean).toBeNull();
+  });
+
 });
@@ -0,0 +1,117 @@
+const { createClient } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:tail';
+
+describe('tail', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function take(iterator, count) {
+    const result = [];
+    for await (const entry of iterator) {
+      result.push(entry);
+      if (result.length >= count) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  it('should only return entries added after it was started', async () => {
+    await ts.add(TIMESERIES_KEY, 1000, { value: 1 });
+
+    const tail = ts.tail(TIMESERIES_KEY, { block: 100 });
+    const received = take(tail, 2);
+
+    await ts.add(TIMESERIES_KEY, 2000, { value: 2 });
+    await ts.add(TIMESERIES_KEY, 3000, { value: 3 });
+
+    expect(await received).toEqual([
+      ['2000-0', { value: '2' }, TIMESERIES_KEY],
+      ['3000-0', { value: '3' }, TIMESERIES_KEY]
+    ]);
+    expect(tail.closed).toBe(true);
+  });
+
+  it('should start from a given id', async () => {
+    await ts.add(TIMESERIES_KEY, 1000, { value: 1 });
+    await ts.add(TIMESERIES_KEY, 2000, { value: 2 });
+
+    const actual = await take(ts.tail(TIMESERIES_KEY, { from: '1000-0', block: 100 }), 1);
+    expect(actual).toEqual([['2000-0', { value: '2' }, TIMESERIES_KEY]]);
+  });
+
+  it('should apply filters server side', async () => {
+    const tail = ts.tail(TIMESERIES_KEY, { filter: 'value>5', labels: ['value'], block: 100 });
+    const received = take(tail, 2);
+
+    for (let i = 1; i <= 10; i++) {
+      await ts.add(TIMESERIES_KEY, i * 1000, { value: i * 3, state: 'ok' });
+    }
+
+    expect(await received).toEqual([
+      ['2000-0', { value: '6' }, TIMESERIES_KEY],
+      ['3000-0', { value: '9' }, TIMESERIES_KEY]
+    ]);
+  });
+
+  it('should follow multiple keys', async () => {
+    const other = `${TIMESERIES_KEY}:other`;
+    const tail = ts.tail([TIMESERIES_KEY, other], { from: '0', block: 100 });
+    const received = take(tail, 2);
+
+    await ts.add(other, 1000, { value: 'b' });
+    await ts.add(TIMESERIES_KEY, 2000, { value: 'a' });
+
+    const actual = await received;
+    expect(actual.map(x => x[2]).sort()).toEqual([TIMESERIES_KEY, other]);
+  });
+
+  it('should retry a scan interrupted by a connection error', async () => {
+    for (let i = 1; i <= 6; i++) {
+      await ts.add(TIMESERIES_KEY, i * 1000, { value: i });
+    }
+
+    // fail the second page of the backfill
+    const call = ts.call.bind(ts);
+    let scans = 0;
+    ts.call = (keys, command, ...args) => {
+      if (command === 'scan' && ++scans === 2) {
+        return Promise.reject(new Error('Connection is closed.'));
+      }
+      return call(keys, command, ...args);
+    };
+
+    const errors = [];
+    const tail = ts.tail(TIMESERIES_KEY, {
+      from: '1000-0', filter: 'value>2', count: 2, block: 100, retryDelay: 10, onError: err => errors.push(err.message)
+    });
+
+    expect(await take(tail, 4)).toEqual([
+      ['3000-0', { value: '3' }, TIMESERIES_KEY],
+      ['4000-0', { value: '4' }, TIMESERIES_KEY],
+      ['5000-0', { value: '5' }, TIMESERIES_KEY],
+      ['6000-0', { value: '6' }, TIMESERIES_KEY]
+    ]);
+    expect(errors).toEqual(['Connection is closed.']);
+  });
+
+  it('should end when closed', async () => {
+    const tail = ts.tail(TIMESERIES_KEY, { block: 0 });
+    const pending = tail.next();
+    tail.close();
+    expect(await pending).toEqual({ value: undefined, done: true });
+  });
+
+});
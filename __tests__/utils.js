@@ -14,11 +14,13 @@ function random(min, max) {
 function calc_stats(values) {
   let count = 0;
   let sum = 0;
+  let sumsq = 0;
   let max = Number.NEGATIVE_INFINITY;
   let min = Number.POSITIVE_INFINITY;
   let vk = 0;
   let mean = 0;
   let std = 0;
+  const counts = new Map();
 
   values.forEach(v => {
     let val = parseFloat(v);
@@ -26,20 +28,45 @@ function calc_stats(values) {
       let oldMean = mean;
       count = count + 1;
       sum = sum + val;
+      sumsq = sumsq + val * val;
       max = Math.max(max, val);
       min = Math.min(min, val);
       mean = sum / count;
       vk = vk + (val - mean) * (val - oldMean);
       std = Math.sqrt(vk / (count - 1));
+      counts.set(val, (counts.get(val) || 0) + 1);
     }
   });
+
+  // central moments
+  let m2 = 0, m3 = 0, m4 = 0;
+  values.map(parseFloat).filter(x => !isNaN(x)).forEach(val => {
+    const d = val - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+
+  let mode = null;
+  counts.forEach((n, val) => {
+    if (mode === null || n > counts.get(mode) || (n === counts.get(mode) && val < mode)) {
+      mode = val;
+    }
+  });
+
   return {
     count,
     sum,
+    sumsq,
     min,
     max,
     mean,
-    std
+    var: count > 1 ? vk / (count - 1) : 0,
+    std,
+    skew: m2 > 0 ? Math.sqrt(count) * m3 / Math.pow(m2, 1.5) : null,
+    kurtosis: m2 > 0 ? count * m4 / (m2 * m2) - 3 : null,
+    mode,
+    count_distinct: counts.size
   }
 }
 
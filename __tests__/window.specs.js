@@ -0,0 +1,115 @@
+const { createClient, getRange } = require('./redis');
+const { TimeseriesClient } = require('../index');
+
+const TIMESERIES_KEY = 'ts:window';
+
+describe('window', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    client = await createClient();
+    ts = new TimeseriesClient(client);
+    return client.flushdb();
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  const values = [3, 1, 4, 1, 5, 9, 2, 6];
+
+  // values at 10, 20, ... 80
+  async function insertValues() {
+    for (let i = 0; i < values.length; i++) {
+      await client.timeseries(TIMESERIES_KEY, 'add', (i + 1) * 10, 'value', values[i]);
+    }
+  }
+
+  async function runWindow(cmd, name, ...specs) {
+    const response = cmd === 'revrange'
+      ? await ts.revrange(TIMESERIES_KEY, '+', '-', 'WINDOW', ...specs)
+      : await ts.range(TIMESERIES_KEY, '-', '+', 'WINDOW', ...specs);
+    return response.map(([, data]) => parseFloat(data[name]));
+  }
+
+  it('should compute a simple moving average over a number of values', async () => {
+    await insertValues();
+    const actual = await runWindow('range', 'value_sma', 'sma(value, 2)');
+    expect(actual).toEqual([3, 2, 2.5, 2.5, 3, 7, 5.5, 4]);
+  });
+
+  it('should compute rolling sums, minimums and maximums', async () => {
+    await insertValues();
+    expect(await runWindow('range', 'value_sum', 'sum(value, 3)')).toEqual([3, 4, 8, 6, 10, 15, 16, 17]);
+    expect(await runWindow('range', 'value_min', 'min(value, 3)')).toEqual([3, 1, 1, 1, 1, 1, 2, 2]);
+    expect(await runWindow('range', 'value_max', 'max(value, 3)')).toEqual([3, 3, 4, 4, 5, 9, 9, 9]);
+  });
+
+  it('should support windows over a duration', async () => {
+    await insertValues();
+    // the values recorded within 20ms of each entry
+    const actual = await runWindow('range', 'value_sum', 'sum(value, 20ms)');
+    expect(actual).toEqual([3, 4, 5, 5, 6, 14, 11, 8]);
+  });
+
+  it('should compute an exponentially weighted moving average', async () => {
+    await insertValues();
+    const actual = await runWindow('range', 'value_ewma', 'ewma(value, 0.5)');
+    expect(actual).toEqual([3, 2, 3, 2, 3.5, 6.25, 4.125, 5.0625]);
+  });
+
+  it('should compute statistics in timestamp order for revrange', async () => {
+    await insertValues();
+    const actual = await runWindow('revrange', 'value_sum', 'sum(value, 2)');
+    expect(actual).toEqual([8, 11, 14, 6, 5, 5, 4, 3]);
+  });
+
+  it('should carry the statistic over entries without a value', async () => {
+    await insertValues();
+    await client.timeseries(TIMESERIES_KEY, 'add', 90, 'state', 'idle');
+    const response = await getRange(client, TIMESERIES_KEY, 70, '+', 'WINDOW', 'sma(value, 2)');
+    expect(response).toEqual([
+      ['70-0', { value: '2', value_sma: '2' }],
+      ['80-0', { value: '6', value_sma: '4' }],
+      ['90-0', { state: 'idle', value_sma: '4' }]
+    ]);
+  });
+
+  it('should keep the window field with LABELS', async () => {
+    await insertValues();
+    const response = await getRange(client, TIMESERIES_KEY, 10, 20, 'WINDOW', 'max(value, 5)', 'LABELS', 'value');
+    expect(response).toEqual([
+      ['10-0', { value: '3', value_max: '3' }],
+      ['20-0', { value: '1', value_max: '3' }]
+    ]);
+  });
+
+  it('should validate its arguments', async () => {
+    await insertValues();
+    const run = (...args) => getRange(client, TIMESERIES_KEY, '-', '+', ...args);
+    await expect(run('WINDOW', 'median(value, 3)')).rejects.toThrow(/WINDOW: invalid function "median"/);
+    await expect(run('WINDOW', 'sma(value)')).rejects.toThrow(/WINDOW: Expecting sma\(field, size\)/);
+    await expect(run('WINDOW', 'sma(value, 0)')).rejects.toThrow(/size must be a positive integer/);
+    await expect(run('WINDOW', 'sum(value, 5x)')).rejects.toThrow(/WINDOW: expected a duration/);
+    await expect(run('WINDOW', 'ewma(value, 2)')).rejects.toThrow(/alpha must be a number between 0 and 1/);
+    await expect(
+      run('WINDOW', 'sma(value, 3)', 'max(value, 3)', 'SMA(value, 10)')
+    ).rejects.toThrow('WINDOW: sma(value) specified more than once');
+    await expect(
+      run('WINDOW', 'sma(value, 3)', 'AGGREGATION', 10, 'avg(value)')
+    ).rejects.toThrow('WINDOW cannot be combined with AGGREGATION');
+  });
+
+  it('should be set by the query builder', async () => {
+    await insertValues();
+    const actual = await ts.query(TIMESERIES_KEY)
+      .between(10, 30)
+      .window('sma(value, 2)', ['max(value, 1m)'])
+      .range();
+    expect(actual.map(([, data]) => [data.value_sma, data.value_max])).toEqual([
+      ['3', '3'], ['2', '3'], ['2.5', '4']
+    ]);
+  });
+
+});
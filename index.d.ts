@@ -0,0 +1,479 @@
+// Type definitions for redis-timeseries-stream
+
+import { Readable } from 'stream';
+
+/** The subset of an ioredis client used by TimeseriesClient and Tail */
+export interface RedisClient {
+  script(subcommand: 'load', script: string): Promise<any>;
+  eval(script: string, numKeys: number, ...args: Arg[]): Promise<any>;
+  evalBuffer(script: string, numKeys: number, ...args: Arg[]): Promise<any>;
+  evalsha(sha: string, numKeys: number, ...args: Arg[]): Promise<any>;
+  evalshaBuffer(sha: string, numKeys: number, ...args: Arg[]): Promise<any>;
+  xrevrange(key: string, max: string, min: string, ...args: Arg[]): Promise<Array<[string, string[]]>>;
+  xread(...args: Arg[]): Promise<Array<[string, Array<[string, string[]]>]> | null>;
+  /** A new connection with the same options, used for blocking reads */
+  duplicate(): RedisClient;
+  disconnect(): void;
+}
+
+/** A timestamp, stream id (`1564632000000-0`) or one of the special range markers `-` and `+` */
+export type Timestamp = number | string;
+
+/** Raw value sent to the script */
+export type Arg = string | number;
+
+export type AggregationType =
+  | 'count'
+  | 'sum'
+  | 'avg'
+  | 'median'
+  | 'stdev'
+  | 'min'
+  | 'max'
+  | 'first'
+  | 'last'
+  | 'range'
+  | 'rate'
+  | 'increase'
+  | 'delta'
+  | 'irate'
+  | 'counter_rate'
+  | 'twa'
+  | 'integral'
+  | 'p50'
+  | 'p90'
+  | 'p95'
+  | 'p99'
+  | 'quantile'
+  | 'var'
+  | 'sumsq'
+  | 'skew'
+  | 'kurtosis'
+  | 'mode'
+  | 'count_distinct'
+  | 'stats';
+
+export const AGGREGATION_TYPES: AggregationType[];
+
+/** The default key of the label index maintained by setMeta and delMeta */
+export const INDEX_KEY: string;
+
+export interface ClientOptions {
+  /** The key of the label index, `INDEX_KEY` by default. With Redis Cluster it must share a hash tag with the series */
+  indexKey?: string;
+}
+
+export type FilterOperator = '=' | '!=' | '<' | '<=' | '>' | '>='
+  | '*=' | '^=' | '$=' | '~=' | '%=' | '**=' | '^*=' | '$*=' | '~*=';
+
+export type FilterValue = string | number | boolean | null | Array<string | number>;
+
+/** Adds the conditions of a parenthesized FILTER group to the query it is passed */
+export type FilterGroup = (group: Query) => void;
+
+export type FormatType = 'json' | 'msgpack';
+
+export type StorageType = 'timeseries' | 'hash';
+
+export type ConflictResolution = 'first' | 'last' | 'combine' | 'sum';
+
+/** How buckets without data are filled by the EMPTY option */
+export type EmptyStrategy = 'null' | 'zero' | 'previous' | 'next' | 'linear';
+
+/** The fields of an entry. Values are returned from redis as strings */
+export interface EntryData {
+  [field: string]: string;
+}
+
+/** A single entry as returned by range, revrange and poprange: `[id, data]` */
+export type Entry = [string, EntryData];
+
+/** The value of a `stats(field)` aggregation. Undefined statistics are null */
+export type AggregatedStats = {
+  [name in keyof BasicStats]: number | string | null;
+};
+
+/**
+ * The aggregated values of a single field, keyed by aggregation type. `quantile(q, field)` values are keyed by
+ * percentile, e.g. `p99.9`. Buckets left empty by the EMPTY option are null
+ */
+export type AggregatedField = {
+  [type in Exclude<AggregationType, 'stats'>]?: number | string | null;
+} & {
+  stats?: AggregatedStats | null;
+} & {
+  [percentile: `p${number}`]: number | string | null | undefined;
+};
+
+/** The aggregated values for a bucket, keyed by field name. Aliased aggregations (`AS name`) hold a single value */
+export interface AggregatedData {
+  [field: string]: AggregatedField | number | string | null;
+}
+
+/** A single aggregation bucket: `[bucketTimestamp, { field: { aggType: value } }]` */
+export type AggregationBucket = [number, AggregatedData];
+
+/** Aggregated data split by GROUPBY, keyed by the values of the GROUPBY fields joined by `\0` */
+export interface GroupedAggregatedData {
+  [group: string]: AggregatedData;
+}
+
+/** An aggregation bucket split by GROUPBY: `[bucketTimestamp, { groupKey: { field: { aggType: value } } }]` */
+export type GroupedAggregationBucket = [number, GroupedAggregatedData];
+
+/**
+ * The single row returned by `AGGREGATION ALL`: `[firstTimestamp, lastTimestamp, data]`, where data is split by group
+ * with GROUPBY
+ */
+export type AggregateAllResult<D = AggregatedData | GroupedAggregatedData> = [number, number, D];
+
+/** Any range reply. AGGREGATION ALL returns null for a range without entries */
+export type RangeResult = Entry[] | AggregationBucket[] | GroupedAggregationBucket[] | AggregateAllResult | null;
+
+/** Whether the option list `T` contains the option `Name`, compared case insensitively */
+export type HasOption<T extends readonly Arg[], Name extends string> =
+  Name extends Uppercase<Extract<T[number], string>> ? true : false;
+
+/** The value following the option `Name` in the option list `T`, or never if it is absent */
+export type OptionValue<T extends readonly Arg[], Name extends string> =
+  T extends readonly [infer Head, infer Value, ...infer Rest]
+    ? Head extends string
+      ? Uppercase<Head> extends Name
+        ? Value
+        : OptionValue<Extract<[Value, ...Rest], Arg[]>, Name>
+      : OptionValue<Extract<[Value, ...Rest], Arg[]>, Name>
+    : never;
+
+/** The reply of an aggregation given its time bucket `B`, split by group if `G` is true */
+export type AggregationReply<B, G extends boolean> =
+  B extends string
+    ? string extends B
+      ? AggregationReply<number, G> | AggregationReply<'ALL', G>
+      : Uppercase<B> extends 'ALL'
+        ? AggregateAllResult<G extends true ? GroupedAggregatedData : AggregatedData> | null
+        : AggregationReply<number, G>
+    : G extends true ? GroupedAggregationBucket[] : AggregationBucket[];
+
+/**
+ * The reply of range, revrange and poprange given their options. Options which are not literals, e.g. a `string`
+ * variable, could name any option, in which case the reply is any RangeResult
+ */
+export type RangeReply<T extends readonly Arg[]> =
+  string extends T[number]
+    ? RangeResult
+    : HasOption<T, 'AGGREGATION'> extends true
+      ? AggregationReply<OptionValue<T, 'AGGREGATION'>, HasOption<T, 'GROUPBY'>>
+      : Entry[];
+
+/** The result of mrange without REDUCE: `{ key: range }` */
+export interface MultiRangeResult<R = RangeResult> {
+  [key: string]: R;
+}
+
+/** The reply of mrange given its options: a single range with REDUCE, `{ key: range }` otherwise */
+export type MultiRangeReply<T extends readonly Arg[]> =
+  string extends T[number]
+    ? MultiRangeResult | RangeResult
+    : HasOption<T, 'REDUCE'> extends true ? RangeReply<T> : MultiRangeResult<RangeReply<T>>;
+
+/** The result of distinct: `{ field: [value, ...] }` */
+export interface DistinctResult {
+  [field: string]: string[];
+}
+
+/** The result of count_distinct: `{ field: { value: count } }` */
+export interface CountDistinctResult {
+  [field: string]: {
+    [value: string]: number;
+  };
+}
+
+/**
+ * `var` and `std` are those of a sample, `skew` and `kurtosis` (excess kurtosis) those of a population. Statistics
+ * which are undefined, e.g. the `min` of a field without numeric values or the `skew` of constant values, are null
+ */
+export interface BasicStats {
+  count: number;
+  sum: number;
+  sumsq: number;
+  min: number | null;
+  max: number | null;
+  mean: number | null;
+  var: number;
+  std: number;
+  skew: number | null;
+  kurtosis: number | null;
+  mode: number | null;
+  count_distinct: number;
+}
+
+/** The result of basic_stats: `{ field: stats }` */
+export interface BasicStatsResult {
+  [field: string]: BasicStats;
+}
+
+/** The result of rules: `{ dest: options }` */
+export interface RulesResult {
+  [dest: string]: string[];
+}
+
+/** `[firstId, lastId]` */
+export type Span = [string, string];
+
+export type AggregationSpec =
+  | string
+  | string[]
+  | { [type in AggregationType]?: string | string[] };
+
+export type QueryCommand =
+  | 'range'
+  | 'revrange'
+  | 'poprange'
+  | 'remrange'
+  | 'count'
+  | 'copy'
+  | 'merge'
+  | 'distinct'
+  | 'count_distinct'
+  | 'basic_stats'
+  | 'scan';
+
+export interface ScanOptions {
+  /** page size. Defaults to 100 */
+  count?: number;
+  /** iterate from max down to min */
+  reverse?: boolean;
+  /** FILTER conditions, e.g. `['temp>45', 'OR', 'state=alert']` */
+  filter?: string | string[];
+  labels?: string[];
+  redact?: string[];
+}
+
+/** Pages through a range using the script's `scan` and `revscan` commands */
+export class Cursor {
+  constructor(client: TimeseriesClient, key: string, min?: Timestamp, max?: Timestamp, options?: ScanOptions);
+
+  readonly done: boolean;
+
+  /** Resolves to the next page of entries, or null once the range is exhausted */
+  next(): Promise<Entry[] | null>;
+}
+
+/** Object mode stream of entries */
+export class ScanStream extends Readable {
+  constructor(client: TimeseriesClient, key: string, min?: Timestamp, max?: Timestamp, options?: ScanOptions);
+
+  [Symbol.asyncIterator](): AsyncIterableIterator<Entry>;
+}
+
+export interface TailOptions {
+  /**
+   * id after which to start reading, either for all keys or keyed by key name.
+   * `$` (the default) only returns entries added after the tail is started
+   */
+  from?: string | { [key: string]: string };
+  /** FILTER conditions, applied server side */
+  filter?: string | string[];
+  labels?: string[];
+  redact?: string[];
+  /** maximum number of entries read per key at a time. Defaults to 100 */
+  count?: number;
+  /** XREAD BLOCK timeout in ms. Defaults to 5000 */
+  block?: number;
+  /** ms to wait before retrying after a connection error. Defaults to 1000 */
+  retryDelay?: number;
+  /** called with errors which cause a read to be retried */
+  onError?: (err: Error) => void;
+}
+
+/** `[id, data, key]` */
+export type TailEntry = [string, EntryData, string];
+
+/** Follows one or more series using blocking reads on a dedicated connection */
+export class Tail implements AsyncIterableIterator<TailEntry> {
+  constructor(client: TimeseriesClient, keys: string | string[], options?: TailOptions);
+
+  readonly keys: string[];
+  readonly closed: boolean;
+
+  next(): Promise<IteratorResult<TailEntry>>;
+  return(value?: any): Promise<IteratorResult<TailEntry>>;
+  [Symbol.asyncIterator](): this;
+  /** Stop following. A pending read is aborted and the iterator completes */
+  close(): void;
+}
+
+/** An object whose values are added as the fields of an entry, or an already flattened `[key, value, ...]` list */
+export type AddData = { [field: string]: string | number | boolean } | Arg[];
+
+/**
+ * The reply of a query's range, revrange and poprange. `B` is the time bucket passed to `aggregate`, or never if the
+ * query is not aggregated, and `G` whether it is grouped
+ */
+export type QueryReply<B, G extends boolean> = [B] extends [never] ? Entry[] : AggregationReply<B, G>;
+
+export class Query<B extends number | string = never, G extends boolean = false> {
+  constructor(client: TimeseriesClient | null, key: string);
+
+  readonly client: TimeseriesClient | null;
+  readonly key: string;
+
+  between(min?: Timestamp | null, max?: Timestamp | null): this;
+
+  where(condition: string | FilterGroup): this;
+  where(field: string, op: FilterOperator, value: FilterValue): this;
+  and(condition: string | FilterGroup): this;
+  and(field: string, op: FilterOperator, value: FilterValue): this;
+  or(condition: string | FilterGroup): this;
+  or(field: string, op: FilterOperator, value: FilterValue): this;
+  not(condition: string | FilterGroup): this;
+  not(field: string, op: FilterOperator, value: FilterValue): this;
+
+  /**
+   * `timeBucket` is a width in timestamp units, a duration such as `'15m'`, a calendar unit such as `'1d'` or `'1M'`, or
+   * `'ALL'` for a single bucket spanning the range
+   */
+  aggregate<T extends number | string>(timeBucket: T, spec: AggregationSpec): Query<T, G>;
+  align(align: 'start' | 'end' | '-' | '+' | number): this;
+  /** An IANA zone name, POSIX TZ string or fixed offset such as `'+05:30'` */
+  timezone(timezone: string): this;
+  empty(strategy: EmptyStrategy): this;
+  /** Rolling statistics such as `'sma(value, 10)'`, `'max(value, 5m)'` or `'ewma(value, 0.3)'` */
+  window(...specs: Array<string | string[]>): this;
+  groupBy(...fields: Array<string | string[]>): Query<B, true>;
+  labels(...names: Array<string | string[]>): this;
+  redact(...names: Array<string | string[]>): this;
+  limit(count: number): this;
+  format(format: FormatType): this;
+  storage(storage: StorageType): this;
+  /** How merge resolves entries with the same id in several series */
+  onConflict(resolution: ConflictResolution): this;
+
+  /** Serialize the options (everything after min and max) for `command` */
+  options(command?: QueryCommand): Arg[];
+  /** Serialize to the argument list expected by the script, starting with min and max */
+  toArgs(command?: QueryCommand): Arg[];
+
+  /**
+   * Resolves to `AggregationBucket[]` if an aggregation was specified (`GroupedAggregationBucket[]` with GROUPBY),
+   * `Entry[]` otherwise
+   */
+  range(): Promise<QueryReply<B, G>>;
+  revrange(): Promise<QueryReply<B, G>>;
+  poprange(): Promise<QueryReply<B, G>>;
+  remrange(): Promise<number>;
+  count(): Promise<number>;
+  copy(dest: string): Promise<number>;
+  /** Merge the range of this series with that of `others` into `dest` */
+  merge(others: string | string[], dest: string): Promise<number>;
+  distinct(): Promise<DistinctResult>;
+  countDistinct(): Promise<CountDistinctResult>;
+  basicStats(): Promise<BasicStatsResult>;
+  scan(options?: Pick<ScanOptions, 'count' | 'reverse'>): AsyncIterableIterator<Entry>;
+  scanStream(options?: Pick<ScanOptions, 'count' | 'reverse'>): ScanStream;
+}
+
+export class TimeseriesClient {
+  constructor(redis: RedisClient, options?: ClientOptions);
+
+  readonly redis: RedisClient;
+  readonly indexKey: string;
+
+  /** Load the script into redis, resolving to its sha */
+  load(): Promise<string>;
+
+  /** Execute a raw script command */
+  call(keys: string[], command: string, ...args: Arg[]): Promise<any>;
+  /** Same as call, but bulk string replies are returned as Buffers */
+  callBuffer(keys: string[], command: string, ...args: Arg[]): Promise<any>;
+
+  query(key: string): Query;
+
+  add(key: string, timestamp: Timestamp, data: AddData): Promise<string>;
+  bulkAdd(key: string, values: Array<[Timestamp, { [field: string]: any }]>): Promise<number>;
+  del(key: string, ...timestamps: Timestamp[]): Promise<number>;
+  size(key: string): Promise<number>;
+  count(key: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<number>;
+  exists(key: string, timestamp: Timestamp): Promise<boolean>;
+  info(key: string): Promise<{ [name: string]: any } | null>;
+  span(key: string): Promise<Span | null>;
+  times(key: string, min?: Timestamp, max?: Timestamp): Promise<string[]>;
+
+  get(key: string, timestamp: Timestamp, ...options: Arg[]): Promise<EntryData | null>;
+  pop(key: string, timestamp: Timestamp, ...options: Arg[]): Promise<EntryData | null>;
+
+  /**
+   * Resolves to `AggregationBucket[]` if an AGGREGATION option is given (`GroupedAggregationBucket[]` with GROUPBY),
+   * `Entry[]` otherwise. Replies sent using the FORMAT option are decoded to the same shapes
+   */
+  range(key: string, min: Timestamp, max: Timestamp): Promise<Entry[]>;
+  range<T extends Arg[]>(key: string, min: Timestamp, max: Timestamp, ...options: T): Promise<RangeReply<T>>;
+  revrange(key: string, min: Timestamp, max: Timestamp): Promise<Entry[]>;
+  revrange<T extends Arg[]>(key: string, min: Timestamp, max: Timestamp, ...options: T): Promise<RangeReply<T>>;
+  poprange(key: string, min: Timestamp, max: Timestamp): Promise<Entry[]>;
+  poprange<T extends Arg[]>(key: string, min: Timestamp, max: Timestamp, ...options: T): Promise<RangeReply<T>>;
+  remrange(key: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<number>;
+  /**
+   * Query the same range of `keys` and the series matched by a SELECT option, which is resolved with queryIndex.
+   * Resolves to `{ key: range }`, or a single range combining the buckets of each series with REDUCE
+   */
+  mrange(keys: string[], min: Timestamp, max: Timestamp): Promise<MultiRangeResult<Entry[]>>;
+  mrange<T extends Arg[]>(keys: string[], min: Timestamp, max: Timestamp, ...options: T): Promise<MultiRangeReply<T>>;
+
+  trimlength(key: string, count: number, approximate?: boolean): Promise<number>;
+  /** Get the retention period of `key` in ms, or set it to `period`, e.g. `'30d'`. 0 keeps entries indefinitely */
+  retention(key: string, period?: number | string): Promise<number | null>;
+  /**
+   * Remove the entries of `key` older than `timestamp`, resolving to the number removed. The script is called until it
+   * removes fewer than `count` (default 1000) entries
+   */
+  trimtime(key: string, timestamp: number, count?: number): Promise<number>;
+
+  copy(src: string, dest: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<number>;
+  /** Merge a range of `sources` into `dest`, resolving entries with the same id as given by ON_CONFLICT */
+  merge(sources: string[], dest: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<number>;
+  merge(first: string, second: string, dest: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<number>;
+
+  /** Roll up `src` into `dest` as entries are added. Options are AGGREGATION (required) and other copy options */
+  createRule(src: string, dest: string, ...options: Arg[]): Promise<number>;
+  deleteRule(src: string, dest: string): Promise<number>;
+  /** The compaction rules of `key`, as a map of destination to rule options */
+  rules(key: string): Promise<RulesResult>;
+
+  /** Set labels describing `key`, which are indexed for queryIndex */
+  setMeta(key: string, labels: Record<string, Arg> | Arg[]): Promise<number>;
+  /** The labels of `key`, optionally restricted to the given labels */
+  getMeta(key: string, ...labels: string[]): Promise<Record<string, string>>;
+  /** Remove the given labels of `key`, or all of them if none are given */
+  delMeta(key: string, ...labels: string[]): Promise<number>;
+  /** The keys of the series whose labels match all of `matchers`, e.g. `'units=celsius'` or `'host!=(a,b)'` */
+  queryIndex(...matchers: string[]): Promise<string[]>;
+  /**
+   * Delete `key` with its labels, rules and settings, removing it from the label index. Resolves to 1 if it existed.
+   * Rejects if `key` is the destination of the rules of other series
+   */
+  drop(key: string): Promise<number>;
+
+  distinct(key: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<DistinctResult>;
+  countDistinct(key: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<CountDistinctResult>;
+  basicStats(key: string, min: Timestamp, max: Timestamp, ...options: Arg[]): Promise<BasicStatsResult>;
+
+  scan(key: string, min?: Timestamp, max?: Timestamp, options?: ScanOptions): AsyncIterableIterator<Entry>;
+  scanStream(key: string, min?: Timestamp, max?: Timestamp, options?: ScanOptions): ScanStream;
+
+  tail(keys: string | string[], options?: TailOptions): Tail;
+}
+
+export function isAggregation(args: any[]): boolean;
+export function isAggregateAll(args: any[]): boolean;
+export function getFormat(args: any[]): FormatType | null;
+export function decodeFormattedResponse(reply: string | Buffer | null, format: FormatType): any;
+export function parseGetResponse(reply: any, args: any[]): EntryData | null;
+export function parseObjectResponse(reply: any): any;
+export function parseMessageResponse(reply: any): Entry[];
+export function parseAggregationResponse(reply: any): AggregationBucket[];
+export function parseAggregateAllResponse(reply: any): AggregateAllResult | null;
+export function parseListResponse(reply: any): DistinctResult;
+export function parseStatsResponse(reply: any): BasicStatsResult;
+export function parseRangeResponse(reply: any, args: any[]): RangeResult;
+export function parseMultiRangeResponse(reply: any, args: any[]): MultiRangeResult | RangeResult;
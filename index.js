@@ -0,0 +1,16 @@
+const { TimeseriesClient, INDEX_KEY } = require('./lib/client');
+const { Query, AGGREGATION_TYPES } = require('./lib/query');
+const { Cursor, ScanStream } = require('./lib/scan');
+const { Tail } = require('./lib/tail');
+const parsers = require('./lib/parsers');
+
+module.exports = {
+  TimeseriesClient,
+  INDEX_KEY,
+  Query,
+  AGGREGATION_TYPES,
+  Cursor,
+  ScanStream,
+  Tail,
+  ...parsers
+};
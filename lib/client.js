@@ -0,0 +1,488 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const {
+  getFormat,
+  parseGetResponse,
+  parseObjectResponse,
+  parseListResponse,
+  parseStatsResponse,
+  parseRangeResponse,
+  parseMultiRangeResponse
+} = require('./parsers');
+const { Query } = require('./query');
+const { scan, ScanStream } = require('./scan');
+const { Tail } = require('./tail');
+
+const scriptPath = path.resolve(__dirname, '../timeseries.lua');
+
+// the default key of the label index maintained by setMeta and delMeta, which is passed to the script as the second key
+const INDEX_KEY = 'timeseries:index';
+
+// the options of mrange, which end the matchers of a SELECT option
+const MRANGE_OPTIONS = ['LIMIT', 'AGGREGATION', 'WINDOW', 'ALIGN', 'TIMEZONE', 'EMPTY', 'GROUPBY', 'FILTER', 'LABELS',
+  'REDACT', 'REDUCE', 'SELECT'];
+
+// reported by the script when a command adding to a series is not passed the destinations of its rules
+const UNDECLARED_DESTINATION = /RULES: destination ".*" must be passed in KEYS/;
+
+let script = null;
+
+function loadScriptFile() {
+  return new Promise((resolve, reject) => {
+    if (script) return resolve(script);
+
+    fs.readFile(scriptPath, { encoding: 'utf8' }, (err, data) => {
+      if (err) return reject(err);
+      resolve( script = {
+        lua: data,
+        sha: crypto.createHash('sha1').update(data).digest('hex')
+      });
+    });
+  })
+}
+
+// convert an object (or an already flattened array) to a list of key value pairs
+function flatten(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return Object.entries(data || {}).reduce((res, [key, val]) => res.concat(key, val), []);
+}
+
+// split the matchers of a SELECT option (null if there is none) from the other options of mrange
+function splitSelect(options) {
+  const isOption = (x, names) => typeof(x) === 'string' && names.includes(x.toUpperCase());
+  const start = options.findIndex(x => isOption(x, ['SELECT']));
+  if (start < 0) {
+    return { matchers: null, options };
+  }
+  let end = start + 1;
+  while (end < options.length && !isOption(options[end], MRANGE_OPTIONS)) end++;
+  return {
+    matchers: options.slice(start + 1, end),
+    options: options.slice(0, start).concat(options.slice(end))
+  };
+}
+
+/**
+ * Client for timeseries.lua.
+ *
+ * Wraps an ioredis compatible connection, takes care of loading the script and converts
+ * command replies into plain javascript objects. Range options (FILTER, AGGREGATION, LABELS etc)
+ * are passed through verbatim as trailing arguments, e.g.
+ *
+ *    await ts.range('temperature', '-', '+', 'FILTER', 'value>20', 'LABELS', 'value');
+ *
+ * @param {Redis} redis client
+ * @param {Object} [options]
+ * @param {string} [options.indexKey] the key of the label index, which with Redis Cluster must share a hash tag with
+ * the labelled series
+ */
+class TimeseriesClient {
+
+  constructor(redis, options = {}) {
+    if (!redis) {
+      throw new Error('TimeseriesClient: a redis client is required');
+    }
+    this.redis = redis;
+    this.indexKey = options.indexKey || INDEX_KEY;
+    // the rule destinations written to when adding to a series, by series key
+    this._ruleDestinations = new Map();
+  }
+
+  /**
+   * Loads the script into redis. Calling this is optional, since the script is
+   * loaded on demand, but it allows failing fast on startup.
+   */
+  async load() {
+    const { lua, sha } = await loadScriptFile();
+    await this.redis.script('load', lua);
+    return sha;
+  }
+
+  /**
+   * Execute a raw script command.
+   * @param {string[]} keys the keys accessed by the command
+   * @param {string} command the name of the command
+   * @param {...*} args command arguments
+   */
+  call(keys, command, ...args) {
+    return this._eval(false, keys, command, args);
+  }
+
+  /**
+   * Same as call, but bulk string replies are returned as Buffers.
+   */
+  callBuffer(keys, command, ...args) {
+    return this._eval(true, keys, command, args);
+  }
+
+  async _eval(asBuffer, keys, command, args) {
+    const { lua, sha } = await loadScriptFile();
+    const params = [keys.length, ...keys, command, ...args];
+    try {
+      return await (asBuffer ? this.redis.evalshaBuffer(sha, ...params) : this.redis.evalsha(sha, ...params));
+    } catch (err) {
+      if (!err || !/NOSCRIPT/.test(err.message)) {
+        throw err;
+      }
+      return asBuffer ? this.redis.evalBuffer(lua, ...params) : this.redis.eval(lua, ...params);
+    }
+  }
+
+  // msgpack encoded replies are binary, so must not be decoded as utf8
+  _callFormatted(keys, command, args) {
+    if (getFormat(args) === 'msgpack') {
+      return this.callBuffer(keys, command, ...args);
+    }
+    return this.call(keys, command, ...args);
+  }
+
+  /**
+   * Start building a range query against `key`
+   * @param {string} key
+   * @returns {Query}
+   */
+  query(key) {
+    return new Query(this, key);
+  }
+
+  /**
+   * Call a command which adds to `target`, passing the destinations of its rules (which are rolled up as it is added
+   * to) after `keys`. The destinations are cached, and looked up again if the script reports one missing.
+   */
+  async _callWithRules(target, keys, command, ...args) {
+    const dests = this._ruleDestinations.get(target) || [];
+    try {
+      return await this.call([...keys, ...dests], command, ...args);
+    } catch (err) {
+      if (!err || !UNDECLARED_DESTINATION.test(err.message)) {
+        throw err;
+      }
+    }
+    const declared = await this._lookupRuleDestinations(target);
+    return this.call([...keys, ...declared], command, ...args);
+  }
+
+  // the destinations rolled up from `key`, directly or through the rules of other destinations
+  async _lookupRuleDestinations(key) {
+    const result = [];
+    const pending = [key];
+    while (pending.length) {
+      const rules = await this.rules(pending.pop());
+      for (const dest of Object.keys(rules)) {
+        if (dest !== key && !result.includes(dest)) {
+          result.push(dest);
+          pending.push(dest);
+        }
+      }
+    }
+    this._ruleDestinations.set(key, result);
+    return result;
+  }
+
+  add(key, timestamp, data) {
+    return this._callWithRules(key, [key], 'add', timestamp, ...flatten(data));
+  }
+
+  /**
+   * Add multiple entries in one call
+   * @param {string} key
+   * @param {Array} values list of [timestamp, data] pairs
+   */
+  bulkAdd(key, values) {
+    const args = values.reduce((res, [timestamp, data]) => res.concat(timestamp, JSON.stringify(data)), []);
+    return this._callWithRules(key, [key], 'bulkAdd', ...args);
+  }
+
+  del(key, ...timestamps) {
+    return this.call([key], 'del', ...timestamps);
+  }
+
+  size(key) {
+    return this.call([key], 'size');
+  }
+
+  count(key, min, max, ...options) {
+    return this.call([key], 'count', min, max, ...options);
+  }
+
+  async exists(key, timestamp) {
+    const response = await this.call([key], 'exists', timestamp);
+    return response === 1;
+  }
+
+  async info(key) {
+    const response = await this.call([key], 'info');
+    return response ? parseObjectResponse(response) : null;
+  }
+
+  async span(key) {
+    const response = await this.call([key], 'span');
+    return response || null;
+  }
+
+  times(key, min = '-', max = '+') {
+    return this.call([key], 'times', min, max);
+  }
+
+  async get(key, timestamp, ...options) {
+    const response = await this._callFormatted([key], 'get', [timestamp, ...options]);
+    return parseGetResponse(response, options);
+  }
+
+  async pop(key, timestamp, ...options) {
+    const response = await this._callFormatted([key], 'pop', [timestamp, ...options]);
+    return parseGetResponse(response, options);
+  }
+
+  async range(key, min, max, ...options) {
+    const response = await this._callFormatted([key], 'range', [min, max, ...options]);
+    return parseRangeResponse(response, options);
+  }
+
+  async revrange(key, min, max, ...options) {
+    const response = await this._callFormatted([key], 'revrange', [min, max, ...options]);
+    return parseRangeResponse(response, options);
+  }
+
+  async poprange(key, min, max, ...options) {
+    const response = await this._callFormatted([key], 'poprange', [min, max, ...options]);
+    return parseRangeResponse(response, options);
+  }
+
+  /**
+   * Query the same range of several series, given as keys and/or selected by label with the SELECT option, which is
+   * resolved with queryIndex so that the script is passed every key it reads.
+   * Resolves to `{ key: range }`, or a single range combining the buckets of each series with REDUCE
+   *
+   *    await ts.mrange(['cpu:web1', 'cpu:web2'], '-', '+', 'AGGREGATION', 60000, 'max(value)', 'REDUCE', 'avg');
+   *    await ts.mrange([], '-', '+', 'SELECT', 'role=web', 'AGGREGATION', 60000, 'max(value)');
+   *
+   * @param {string[]} keys
+   * @param {string|number} min
+   * @param {string|number} max
+   * @param {...*} options range options, plus SELECT matcher ... and REDUCE sum|avg|max
+   */
+  async mrange(keys, min, max, ...options) {
+    const select = splitSelect(options);
+    if (select.matchers) {
+      if (!select.matchers.length) {
+        throw new Error('SELECT: at least one matcher must be specified');
+      }
+      keys = keys.concat(await this.queryIndex(...select.matchers));
+    }
+    const response = await this.call(keys, 'mrange', min, max, ...select.options);
+    return parseMultiRangeResponse(response, select.options);
+  }
+
+  remrange(key, min, max, ...options) {
+    return this.call([key], 'remrange', min, max, ...options);
+  }
+
+  trimlength(key, count, approximate = false) {
+    const args = approximate ? [count, 1] : [count];
+    return this.call([key], 'trimlength', ...args);
+  }
+
+  /**
+   * Get the retention period of `key` in ms, or set it if `period` is given
+   *
+   *    await ts.retention('readings', '30d');
+   *
+   * @param {string} key
+   * @param {number|string} [period] ms or a duration such as 12h or 30d. 0 keeps entries indefinitely
+   */
+  retention(key, period) {
+    const args = period === undefined ? [] : [period];
+    return this.call([key], 'retention', ...args);
+  }
+
+  /**
+   * Remove the entries of `key` older than `timestamp`, resolving to the number removed. Each call to the script
+   * removes at most `count` entries, so it is repeated until fewer are removed
+   * @param {string} key
+   * @param {number} timestamp
+   * @param {number} [count=1000] entries removed per call
+   */
+  async trimtime(key, timestamp, count = 1000) {
+    let total = 0;
+    let removed;
+    do {
+      removed = await this.call([key], 'trimtime', timestamp, 'COUNT', count);
+      total += removed;
+    } while (removed === count);
+    return total;
+  }
+
+  copy(src, dest, min, max, ...options) {
+    return this._callWithRules(dest, [src, dest], 'copy', min, max, ...options);
+  }
+
+  /**
+   * Merge a range of several series into `dest`
+   *
+   *    await ts.merge(['cpu:web1', 'cpu:web2', 'cpu:web3'], 'cpu:web', '-', '+', 'ON_CONFLICT', 'combine');
+   *
+   * `merge(first, second, dest, min, max, ...options)` is also accepted for two series
+   *
+   * @param {string[]} sources
+   * @param {string} dest
+   * @param {string|number} min
+   * @param {string|number} max
+   * @param {...*} options FILTER, LABELS, REDACT, LIMIT, STORAGE and ON_CONFLICT first|last|combine|sum
+   */
+  merge(sources, dest, min, max, ...options) {
+    if (!Array.isArray(sources)) {
+      return this.merge([sources, dest], min, max, ...options);
+    }
+    return this._callWithRules(dest, [...sources, dest], 'merge', sources.length, min, max, ...options);
+  }
+
+  /**
+   * Roll up `src` into `dest` as entries are added to it
+   *
+   *    await ts.createRule('requests', 'requests:1m', 'AGGREGATION', 60000, 'avg(duration)');
+   *
+   * @param {string} src
+   * @param {string} dest
+   * @param {...*} options AGGREGATION (required) and other copy options
+   */
+  createRule(src, dest, ...options) {
+    return this._callWithRules(dest, [src, dest], 'createrule', ...options);
+  }
+
+  deleteRule(src, dest) {
+    return this.call([src, dest], 'deleterule');
+  }
+
+  /**
+   * The compaction rules of `key`, as a map of destination to rule options
+   * @param {string} key
+   */
+  async rules(key) {
+    const response = await this.call([key], 'rules');
+    return parseListResponse(response);
+  }
+
+  /**
+   * Set labels describing `key`, which are indexed for queryIndex
+   *
+   *    await ts.setMeta('readings:temp', { units: 'celsius', host: 'sensor-1' });
+   *
+   * @param {string} key
+   * @param {Object|Array} labels label value pairs
+   */
+  setMeta(key, labels) {
+    return this.call([key, this.indexKey], 'meta', 'set', ...flatten(labels));
+  }
+
+  /**
+   * The labels of `key` as an object, optionally restricted to the given labels
+   * @param {string} key
+   * @param {...string} labels
+   */
+  async getMeta(key, ...labels) {
+    const response = await this.call([key, this.indexKey], 'meta', 'get', ...labels);
+    return parseObjectResponse(response);
+  }
+
+  /**
+   * Remove the given labels of `key`, or all of them if none are given
+   * @param {string} key
+   * @param {...string} labels
+   */
+  delMeta(key, ...labels) {
+    return this.call([key, this.indexKey], 'meta', 'del', ...labels);
+  }
+
+  /**
+   * Delete `key` along with its labels, rules and settings. Unlike deleting the key itself, this removes the series
+   * from the label index. Fails if `key` is the destination of the rules of other series
+   * @param {string} key
+   */
+  async drop(key) {
+    const result = await this._callWithRules(key, [key, this.indexKey], 'drop');
+    this._ruleDestinations.delete(key);
+    return result;
+  }
+
+  /**
+   * The keys of the series whose labels match all of the given matchers, e.g.
+   *
+   *    await ts.queryIndex('units=celsius', 'host!=(sensor-1,sensor-2)');
+   *
+   * @param {...string} matchers
+   */
+  queryIndex(...matchers) {
+    return this.call([this.indexKey], 'queryindex', ...matchers);
+  }
+
+  /**
+   * Iterate over the entries between min and max a page at a time.
+   *
+   *    for await (const [id, data] of ts.scan(key, '-', '+', { filter: 'temp>45', labels: ['temp'] })) {
+   *      ...
+   *    }
+   *
+   * @param {string} key
+   * @param {string|number} min
+   * @param {string|number} max
+   * @param {Object} [options]
+   * @param {number} [options.count=100] page size
+   * @param {boolean} [options.reverse=false] iterate from max to min
+   * @param {string|string[]} [options.filter] FILTER conditions
+   * @param {string[]} [options.labels] fields to return
+   * @param {string[]} [options.redact] fields to exclude
+   * @returns {AsyncIterableIterator}
+   */
+  scan(key, min = '-', max = '+', options = {}) {
+    return scan(this, key, min, max, options);
+  }
+
+  /**
+   * Same as scan, but returns an object mode Readable stream of [id, data] pairs.
+   */
+  scanStream(key, min = '-', max = '+', options = {}) {
+    return new ScanStream(this, key, min, max, options);
+  }
+
+  /**
+   * Follow one or more series as entries are added.
+   *
+   *    for await (const [id, data, key] of ts.tail(['cpu:1', 'cpu:2'], { filter: 'usage>90' })) {
+   *      ...
+   *    }
+   *
+   * A dedicated connection is used for the blocking reads. See Tail for options.
+   * @param {string|string[]} keys
+   * @param {Object} [options]
+   * @returns {Tail}
+   */
+  tail(keys, options = {}) {
+    return new Tail(this, keys, options);
+  }
+
+  async distinct(key, min, max, ...options) {
+    const response = await this.call([key], 'distinct', min, max, ...options);
+    return parseListResponse(response);
+  }
+
+  async countDistinct(key, min, max, ...options) {
+    const response = await this.call([key], 'count_distinct', min, max, ...options);
+    return parseObjectResponse(response) || {};
+  }
+
+  async basicStats(key, min, max, ...options) {
+    const response = await this.call([key], 'basic_stats', min, max, ...options);
+    return parseStatsResponse(response);
+  }
+
+}
+
+module.exports = {
+  TimeseriesClient,
+  INDEX_KEY,
+  loadScriptFile
+};
@@ -0,0 +1,157 @@
+// Reply parsers for the flat multi-bulk responses returned by timeseries.lua
+// https://github.com/luin/ioredis/issues/747
+
+const notepack = require('notepack.io');
+
+function parseObjectResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return reply
+  }
+  const data = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    const val = reply[i + 1];
+    data[reply[i]] = Array.isArray(val) ? parseObjectResponse(val) : val;
+  }
+  return data
+}
+
+function parseMessageResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return [];
+  }
+  return reply.map((message) => {
+    return [message[0], parseObjectResponse(message[1])]
+  })
+}
+
+function parseAggregationResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return [];
+  }
+  const data = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    data.push([
+        reply[i],
+        parseObjectResponse(reply[i+1])
+    ]);
+  }
+  return data
+}
+
+// [key, [value, value, ...], key, [...]] => { key: [value, ...] }
+function parseListResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return {};
+  }
+  const data = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    data[reply[i]] = reply[i + 1] || [];
+  }
+  return data
+}
+
+// [key, [stat, value, ...], ...] => { key: { stat: Number } }. Undefined stats are null
+function parseStatsResponse(reply) {
+  const data = parseObjectResponse(reply) || {};
+  Object.keys(data).forEach(key => {
+    const stats = data[key];
+    Object.keys(stats).forEach(name => {
+      stats[name] = stats[name] === null ? null : parseFloat(stats[name]);
+    });
+  });
+  return data
+}
+
+function isAggregation(args) {
+  return !!args.find(x => typeof(x) === 'string' && x.toUpperCase() === 'AGGREGATION');
+}
+
+// AGGREGATION ALL, which returns a single [first, last, data] row
+function isAggregateAll(args) {
+  const index = args.findIndex(x => typeof(x) === 'string' && x.toUpperCase() === 'AGGREGATION');
+  return index >= 0 && String(args[index + 1]).toUpperCase() === 'ALL';
+}
+
+// the value of the FORMAT option, if any
+function getFormat(args) {
+  const index = args.findIndex(x => typeof(x) === 'string' && x.toUpperCase() === 'FORMAT');
+  return index >= 0 ? String(args[index + 1]).toLowerCase() : null;
+}
+
+// decode a reply sent with the FORMAT option
+function decodeFormattedResponse(reply, format) {
+  if (reply === null || reply === undefined) {
+    return null;
+  }
+  if (format === 'json') {
+    return JSON.parse(reply.toString());
+  } else if (format === 'msgpack') {
+    return notepack.decode(reply);
+  }
+  return reply;
+}
+
+function parseGetResponse(reply, args) {
+  const format = getFormat(args);
+  if (format) {
+    return decodeFormattedResponse(reply, format);
+  }
+  return reply ? parseObjectResponse(reply) : null;
+}
+
+// [first, last, data] => [first, last, { field: { aggType: value } }], or null for an empty range
+function parseAggregateAllResponse(reply) {
+  if (!Array.isArray(reply) || !reply.length) {
+    return null;
+  }
+  return [reply[0], reply[1], parseObjectResponse(reply[2])];
+}
+
+function parseRangeResponse(reply, args) {
+  const format = getFormat(args);
+  if (format) {
+    const data = decodeFormattedResponse(reply, format);
+    if (isAggregateAll(args)) {
+      return Array.isArray(data) && data.length ? data : null;
+    }
+    // an empty lua table is encoded as an object by cjson
+    return Array.isArray(data) ? data : [];
+  }
+  if (isAggregateAll(args)) {
+    return parseAggregateAllResponse(reply);
+  }
+  if (isAggregation(args)) {
+    return parseAggregationResponse(reply);
+  }
+  return parseMessageResponse(reply);
+}
+
+// [key, range, key, range, ...] => { key: range }, or a single range with REDUCE
+function parseMultiRangeResponse(reply, args) {
+  if (args.find(x => typeof(x) === 'string' && x.toUpperCase() === 'REDUCE')) {
+    return parseRangeResponse(reply, args);
+  }
+  const data = {};
+  if (Array.isArray(reply)) {
+    for (let i = 0; i < reply.length; i += 2) {
+      data[reply[i]] = parseRangeResponse(reply[i + 1], args);
+    }
+  }
+  return data;
+}
+
+module.exports = {
+  isAggregation,
+  isAggregateAll,
+  getFormat,
+  decodeFormattedResponse,
+  parseGetResponse,
+  parseObjectResponse,
+  parseMessageResponse,
+  parseAggregationResponse,
+  parseAggregateAllResponse,
+  parseListResponse,
+  parseStatsResponse,
+  parseRangeResponse,
+  parseMultiRangeResponse
+};
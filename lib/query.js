@@ -0,0 +1,729 @@
+// Fluent builder for the options accepted by the range family of commands.
+// Validation mirrors parse_range_params in timeseries.lua so that mistakes are
+// reported before anything is sent to redis.
+
+const AGGREGATION_TYPES = [
+  'count',
+  'sum',
+  'avg',
+  'median',
+  'stdev',
+  'min',
+  'max',
+  'first',
+  'last',
+  'range',
+  'rate',
+  'increase',
+  'delta',
+  'irate',
+  'counter_rate',
+  'twa',
+  'integral',
+  'p50',
+  'p90',
+  'p95',
+  'p99',
+  'quantile',
+  'var',
+  'sumsq',
+  'skew',
+  'kurtosis',
+  'mode',
+  'count_distinct',
+  'stats'
+];
+
+const QUANTILE_METHODS = ['auto', 'exact', 'sketch'];
+
+const WEIGHTED_METHODS = ['step', 'linear'];
+
+const WINDOW_FUNCTIONS = ['sma', 'ewma', 'sum', 'min', 'max'];
+
+const FILTER_OPS = [
+  '=', '!=', '<', '<=', '>', '>=',
+  // string matching. A '*' before the '=' makes the match case insensitive
+  '*=', '^=', '$=', '~=', '%=',
+  '**=', '^*=', '$*=', '~*='
+];
+
+const EMPTY_VALUES = ['null', 'zero', 'previous', 'next', 'linear'];
+
+const FORMAT_VALUES = ['json', 'msgpack'];
+
+const STORAGE_VALUES = ['timeseries', 'hash'];
+
+const ON_CONFLICT_VALUES = ['first', 'last', 'combine', 'sum'];
+
+const RANGE_OPTIONS = ['LIMIT', 'AGGREGATION', 'WINDOW', 'ALIGN', 'TIMEZONE', 'EMPTY', 'GROUPBY', 'FILTER', 'LABELS', 'REDACT', 'FORMAT'];
+
+// options accepted by each command, keyed by command name
+const COMMAND_OPTIONS = {
+  range: RANGE_OPTIONS,
+  revrange: RANGE_OPTIONS,
+  poprange: RANGE_OPTIONS,
+  remrange: RANGE_OPTIONS,
+  count: ['FILTER'],
+  copy: ['LIMIT', 'AGGREGATION', 'ALIGN', 'TIMEZONE', 'EMPTY', 'GROUPBY', 'FILTER', 'LABELS', 'REDACT', 'STORAGE'],
+  merge: ['LIMIT', 'FILTER', 'LABELS', 'REDACT', 'STORAGE', 'ON_CONFLICT'],
+  distinct: ['LIMIT', 'FILTER', 'LABELS'],
+  count_distinct: ['LIMIT', 'FILTER', 'LABELS'],
+  basic_stats: ['LIMIT', 'FILTER', 'LABELS'],
+  scan: ['FILTER', 'LABELS', 'REDACT']
+};
+
+// fixed durations (15m, 1h) and calendar units (1d, 1w, 1M, 1y)
+const DURATION_REGEX = /^[1-9][0-9]*(ms|s|m|h|d|w|M|y)$/;
+const CALENDAR_REGEX = /^[0-9]+[dwMy]$/;
+
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ROLLUP_REGEX = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*\(\s*([A-Za-z_][A-Za-z0-9_]*|\*)\s*\)\s*$/;
+// {min,max,avg}(field)
+const ROLLUP_LIST_REGEX = /^\s*\{([^}]*)\}\s*(\(.*\))\s*$/;
+// avg(field) AS alias
+const ALIAS_REGEX = /^(.*\S)\s+AS\s+(\S+)\s*$/i;
+const QUANTILE_REGEX = /^\s*quantile\s*\(\s*([^,\s]*)\s*,\s*([^,\s]*)\s*(?:,\s*([^,\s]*)\s*)?\)\s*$/i;
+const WEIGHTED_REGEX = /^\s*(twa|integral)\s*\(\s*([^,\s]*)\s*((?:,\s*[^,\s]*\s*)*)\)\s*$/i;
+const WINDOW_REGEX = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*\(\s*([^,\s]*)\s*,\s*([^,\s]*)\s*\)\s*$/;
+const WINDOW_SIZE_REGEX = /^([1-9][0-9]*|[0-9]+(ms|s|m|h))$/;
+const DURATION_UNIT_REGEX = /^([0-9]+(ms|s|m|h)|[0-9]*\.?[0-9]+)$/;
+
+function assertIdentifier(name, what) {
+  if (typeof name !== 'string' || !IDENTIFIER_REGEX.test(name)) {
+    throw new Error(`${what}: invalid field name "${name}"`);
+  }
+}
+
+// an aggregated field, or * for all numeric fields
+function assertAggregateField(name) {
+  if (name !== '*') {
+    assertIdentifier(name, 'AGGREGATION');
+  }
+}
+
+// quote a list value as expected by the FILTER list parser
+function quoteListValue(val) {
+  const str = String(val);
+  if (/[",\s]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+function formatCondition(field, op, value) {
+  if (op === undefined && value === undefined) {
+    // raw condition, e.g. 'temp>45'
+    if (typeof field !== 'string' || !field.length) {
+      throw new Error('FILTER: condition expected');
+    }
+    return field;
+  }
+  assertIdentifier(field, 'FILTER');
+  if (!FILTER_OPS.includes(op)) {
+    throw new Error(`FILTER: invalid operator "${op}". Expected one of ${FILTER_OPS.join(', ')}`);
+  }
+  if (Array.isArray(value)) {
+    if (op !== '=' && op !== '!=') {
+      throw new Error(`FILTER: a list of values can only be used with "=" or "!="`);
+    }
+    if (value.length === 0) {
+      throw new Error('FILTER: no values found for contains match');
+    }
+    return `${field}${op}(${value.map(quoteListValue).join(',')})`;
+  }
+  if (value === null || value === undefined) {
+    return `${field}${op}null`;
+  }
+  return `${field}${op}${value}`;
+}
+
+// a single condition, or a parenthesized group of conditions added by *build*
+function formatTerm(field, op, value) {
+  if (typeof field === 'function') {
+    const group = new Query(null, null);
+    field(group);
+    if (!group._filter.length) {
+      throw new Error('FILTER: condition expected');
+    }
+    return ['(', ...group._filter, ')'];
+  }
+  return [formatCondition(field, op, value)];
+}
+
+function formatRollupSpec([type, field, options]) {
+  if (type === 'quantile') {
+    const method = options.method === 'auto' ? '' : `,${options.method}`;
+    return `${type}(${options.q},${field}${method})`;
+  }
+  if (options) {
+    const args = [field, options.unit, options.method].filter(x => x !== undefined);
+    return `${type}(${args.join(',')})`;
+  }
+  return `${type}(${field})`;
+}
+
+function formatRollup(rollup) {
+  const alias = rollup[3];
+  return alias ? [formatRollupSpec(rollup), 'AS', alias] : [formatRollupSpec(rollup)];
+}
+
+// normalize an aggregation spec into a list of [aggType, field, options, alias] tuples, where options
+// is only set for quantile(q, field, method), twa(field, method) and integral(field, unit, method)
+function parseAggregationSpec(spec) {
+  const result = [];
+
+  const addRollup = (type, field) => {
+    type = String(type).toLowerCase();
+    if (!AGGREGATION_TYPES.includes(type)) {
+      throw new Error(`invalid aggregation type : "${type}"`);
+    }
+    if (type === 'quantile') {
+      throw new Error(`QUANTILE: Expecting quantile(q, field), got "${type}(${field})"`);
+    }
+    assertAggregateField(field);
+    result.push([type, field]);
+  };
+
+  const addQuantile = (q, field, method = 'auto') => {
+    const value = Number(q);
+    if (q === '' || isNaN(value) || value < 0 || value > 1) {
+      throw new Error(`QUANTILE: expected a number between 0 and 1, got "${q}"`);
+    }
+    method = method.toLowerCase();
+    if (!QUANTILE_METHODS.includes(method)) {
+      throw new Error(`QUANTILE: Expecting "auto", "exact" or "sketch", got "${method}"`);
+    }
+    assertAggregateField(field);
+    result.push(['quantile', field, { q: value, method }]);
+  };
+
+  const addWeighted = (type, field, args) => {
+    type = type.toLowerCase();
+    const name = type.toUpperCase();
+    const options = {};
+    if (type === 'integral' && args.length && !WEIGHTED_METHODS.includes(args[0].toLowerCase())) {
+      const unit = args.shift();
+      if (!DURATION_UNIT_REGEX.test(unit)) {
+        throw new Error(`${name}: expected a duration such as 1s or 1h, got "${unit}"`);
+      }
+      options.unit = unit;
+    }
+    if (args.length) {
+      const method = args.shift().toLowerCase();
+      if (!WEIGHTED_METHODS.includes(method)) {
+        throw new Error(`${name}: Expecting "step" or "linear", got "${method}"`);
+      }
+      options.method = method;
+    }
+    if (args.length) {
+      throw new Error(`${name}: too many arguments`);
+    }
+    assertAggregateField(field);
+    result.push([type, field, options]);
+  };
+
+  const addString = (str) => {
+    const alias = ALIAS_REGEX.exec(str);
+    if (alias) {
+      const [, rollup, name] = alias;
+      if (!IDENTIFIER_REGEX.test(name)) {
+        throw new Error(`AS: invalid alias "${name}"`);
+      }
+      if (result.some(x => x[3] === name)) {
+        throw new Error(`AS: alias "${name}" is already used`);
+      }
+      const start = result.length;
+      addString(rollup);
+      if (result.length - start !== 1 || result[start][1] === '*') {
+        throw new Error(`AS: an alias names a single aggregation of a single field, got "${rollup}"`);
+      }
+      result[start][3] = name;
+      return;
+    }
+    const list = ROLLUP_LIST_REGEX.exec(str);
+    if (list) {
+      const types = list[1].split(',').map(x => x.trim()).filter(x => x.length);
+      if (!types.length) {
+        throw new Error(`invalid or missing aggregate spec "${str}"`);
+      }
+      types.forEach(type => addString(type + list[2]));
+      return;
+    }
+    const quantile = QUANTILE_REGEX.exec(str);
+    if (quantile) {
+      addQuantile(quantile[1], quantile[2], quantile[3]);
+      return;
+    }
+    const weighted = WEIGHTED_REGEX.exec(str);
+    if (weighted) {
+      const args = weighted[3].split(',').slice(1).map(x => x.trim());
+      addWeighted(weighted[1], weighted[2], args);
+      return;
+    }
+    const match = ROLLUP_REGEX.exec(str);
+    if (!match) {
+      throw new Error(`invalid or missing aggregate spec "${str}"`);
+    }
+    addRollup(match[1], match[2]);
+  };
+
+  if (typeof spec === 'string') {
+    addString(spec);
+  } else if (Array.isArray(spec)) {
+    spec.forEach(addString);
+  } else if (spec && typeof spec === 'object') {
+    Object.entries(spec).forEach(([type, fields]) => {
+      [].concat(fields).forEach(field => addRollup(type, field));
+    });
+  }
+
+  if (!result.length) {
+    throw new Error('No fields specified for aggregation');
+  }
+  result.forEach(([, field]) => {
+    if (result.some(x => x[3] === field)) {
+      throw new Error(`AS: alias "${field}" is also an aggregated field`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Fluent query builder for the range family of commands.
+ *
+ *    const data = await ts.query('temperatures')
+ *      .between(start, end)
+ *      .where('temp', '>', 45)
+ *      .or('status', '=', 'alert')
+ *      .aggregate(5000, { avg: 'temp' })
+ *      .range();
+ *
+ * @param {TimeseriesClient} client the client used to execute the query. May be null if
+ * the query is only serialized.
+ * @param {string} key the timeseries key
+ */
+class Query {
+
+  constructor(client, key) {
+    this.client = client;
+    this.key = key;
+    this._min = '-';
+    this._max = '+';
+    this._filter = [];
+    this._aggregation = null;
+    this._align = null;
+    this._timezone = null;
+    this._empty = null;
+    this._window = null;
+    this._groupBy = null;
+    this._labels = null;
+    this._redacted = null;
+    this._limit = null;
+    this._format = null;
+    this._storage = null;
+    this._onConflict = null;
+  }
+
+  between(min, max) {
+    this._min = min === undefined || min === null ? '-' : min;
+    this._max = max === undefined || max === null ? '+' : max;
+    return this;
+  }
+
+  /**
+   * Add a filter condition. Consecutive calls to `where` are ANDed together.
+   * The condition may be given either as (field, op, value), as a raw
+   * string such as `'temp>45'`, or as a function which adds the conditions
+   * of a parenthesized group to the query it is passed
+   *
+   *    query.where(q => q.where('temp', '>', 45).or('state', '=', 'alert'))
+   *      .and('active', '=', true)
+   */
+  where(field, op, value) {
+    this._filter.push(...formatTerm(field, op, value));
+    return this;
+  }
+
+  and(field, op, value) {
+    return this._join('AND', field, op, value);
+  }
+
+  or(field, op, value) {
+    return this._join('OR', field, op, value);
+  }
+
+  /**
+   * Add a negated condition or group. Like `where`, it is ANDed with the
+   * preceding conditions
+   */
+  not(field, op, value) {
+    this._filter.push('NOT', ...formatTerm(field, op, value));
+    return this;
+  }
+
+  _join(joinOp, field, op, value) {
+    if (!this._filter.length) {
+      throw new Error(`FILTER: "${joinOp}" must follow a condition`);
+    }
+    this._filter.push(joinOp, ...formatTerm(field, op, value));
+    return this;
+  }
+
+  /**
+   * Roll the range up into buckets of `timeBucket` width.
+   * @param {number|string} timeBucket a width in timestamp units, a duration such as `'15m'`,
+   * a calendar unit (`'1d'`, `'1w'`, `'1M'`, `'1y'`) or `'ALL'` for a single bucket spanning the range
+   * @param {Object|string|string[]} spec either an object mapping aggregation type to one or more
+   * fields (`{ avg: 'value', max: ['value', 'temp'] }`) or rollup strings (`'avg(value)'`,
+   * `'{min,max}(latency)'`, `'avg(*)'`, `'p95(latency) AS p95'`)
+   */
+  aggregate(timeBucket, spec) {
+    if (this._aggregation) {
+      throw new Error('A value for aggregate has already been set');
+    }
+    if (typeof timeBucket === 'string' && timeBucket.toUpperCase() === 'ALL') {
+      timeBucket = 'ALL';
+    }
+    const isDuration = typeof timeBucket === 'string' && DURATION_REGEX.test(timeBucket);
+    if (!isDuration && timeBucket !== 'ALL' && (typeof timeBucket !== 'number' || isNaN(timeBucket))) {
+      throw new Error(`AGGREGATE: timeBucket must be a number or duration. Got "${timeBucket}"`);
+    }
+    if (this._redacted) {
+      throw new Error('Either specify REDACT or LABELS, but not both');
+    }
+    this._aggregation = {
+      timeBucket,
+      rollups: parseAggregationSpec(spec)
+    };
+    return this;
+  }
+
+  /**
+   * Align fixed width buckets to the start or end of the range, or to a timestamp
+   * @param {'start'|'end'|number} align
+   */
+  align(align) {
+    if (!['start', 'end', '-', '+'].includes(align) && (typeof align !== 'number' || isNaN(align))) {
+      throw new Error(`ALIGN: Expecting "start", "end" or a timestamp, got "${align}"`);
+    }
+    this._align = align;
+    return this;
+  }
+
+  /**
+   * The timezone used for the boundaries of calendar buckets, e.g. `'Europe/Berlin'`,
+   * a POSIX TZ string or a fixed offset such as `'+05:30'`
+   */
+  timezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone.length) {
+      throw new Error('TIMEZONE: value expected');
+    }
+    this._timezone = timezone;
+    return this;
+  }
+
+  /**
+   * Return every bucket in the range, filling those without data
+   * @param {'null'|'zero'|'previous'|'next'|'linear'} strategy
+   */
+  empty(strategy) {
+    strategy = String(strategy).toLowerCase();
+    if (!EMPTY_VALUES.includes(strategy)) {
+      throw new Error(`EMPTY: Expecting one of ${EMPTY_VALUES.join(', ')}, got "${strategy}"`);
+    }
+    this._empty = strategy;
+    return this;
+  }
+
+  /**
+   * Add rolling statistics to each entry, e.g. `'sma(value, 10)'`, `'max(value, 5m)'` or `'ewma(value, 0.3)'`.
+   * The size of a window is either a number of values or a duration
+   */
+  window(...specs) {
+    specs = [].concat(...specs);
+    if (!specs.length) {
+      throw new Error('WINDOW: at least one function must be specified');
+    }
+    const windows = specs.map(spec => {
+      const match = WINDOW_REGEX.exec(spec);
+      if (!match) {
+        throw new Error(`WINDOW: invalid spec "${spec}"`);
+      }
+      const fn = match[1].toLowerCase();
+      const [, , field, arg] = match;
+      if (!WINDOW_FUNCTIONS.includes(fn)) {
+        throw new Error(`WINDOW: invalid function "${fn}". Expected one of ${WINDOW_FUNCTIONS.join(', ')}`);
+      }
+      assertIdentifier(field, 'WINDOW');
+      if (fn === 'ewma') {
+        const alpha = Number(arg);
+        if (isNaN(alpha) || alpha <= 0 || alpha > 1) {
+          throw new Error(`WINDOW: alpha must be a number between 0 and 1, got "${arg}"`);
+        }
+      } else if (!WINDOW_SIZE_REGEX.test(arg)) {
+        throw new Error(`WINDOW: expected a number of values or a duration, got "${arg}"`);
+      }
+      return `${fn}(${field},${arg})`;
+    });
+    // statistics are named <field>_<function>, so a function may only be applied once to a field
+    const names = new Set();
+    for (const spec of (this._window || []).concat(windows)) {
+      const [, fn, field] = WINDOW_REGEX.exec(spec);
+      if (names.has(`${field}_${fn}`)) {
+        throw new Error(`WINDOW: ${fn}(${field}) specified more than once`);
+      }
+      names.add(`${field}_${fn}`);
+    }
+    this._window = (this._window || []).concat(windows);
+    return this;
+  }
+
+  /**
+   * Split each aggregation bucket by the values of one or more fields
+   */
+  groupBy(...fields) {
+    fields = [].concat(...fields);
+    if (!fields.length) {
+      throw new Error('GROUPBY: at least one field must be specified');
+    }
+    fields.forEach(field => assertIdentifier(field, 'GROUPBY'));
+    this._groupBy = (this._groupBy || []).concat(fields);
+    return this;
+  }
+
+  labels(...names) {
+    if (this._redacted) {
+      throw new Error('Either specify REDACT or LABELS, but not both');
+    }
+    names = [].concat(...names);
+    names.forEach(name => assertIdentifier(name, 'LABELS'));
+    this._labels = (this._labels || []).concat(names);
+    return this;
+  }
+
+  redact(...names) {
+    if (this._labels || this._aggregation) {
+      throw new Error('Either specify REDACT or LABELS, but not both');
+    }
+    names = [].concat(...names);
+    names.forEach(name => assertIdentifier(name, 'REDACT'));
+    this._redacted = (this._redacted || []).concat(names);
+    return this;
+  }
+
+  limit(count) {
+    if (typeof count !== 'number' || isNaN(count)) {
+      throw new Error('LIMIT: value must be a number');
+    }
+    if (count < 0) {
+      throw new Error('LIMIT: value must be positive');
+    }
+    this._limit = count;
+    return this;
+  }
+
+  format(format) {
+    format = String(format).toLowerCase();
+    if (!FORMAT_VALUES.includes(format)) {
+      throw new Error(`FORMAT: Expecting one of ${FORMAT_VALUES.join(', ')}, got "${format}"`);
+    }
+    this._format = format;
+    return this;
+  }
+
+  storage(storage) {
+    storage = String(storage).toLowerCase();
+    if (!STORAGE_VALUES.includes(storage)) {
+      throw new Error(`STORAGE: Expecting "timeseries" or "hash", got "${storage}"`);
+    }
+    this._storage = storage;
+    return this;
+  }
+
+  /**
+   * How merge resolves entries with the same id in several series
+   */
+  onConflict(resolution) {
+    resolution = String(resolution).toLowerCase();
+    if (!ON_CONFLICT_VALUES.includes(resolution)) {
+      throw new Error(`ON_CONFLICT: Expecting "first", "last", "combine" or "sum", got "${resolution}"`);
+    }
+    this._onConflict = resolution;
+    return this;
+  }
+
+  /**
+   * Serialize the options (everything after min and max) for `command`.
+   * Throws if an option was set which `command` does not accept.
+   */
+  options(command = 'range') {
+    const valid = COMMAND_OPTIONS[command];
+    if (!valid) {
+      throw new Error(`Query: unsupported command "${command}"`);
+    }
+    const args = [];
+    const add = (name, values) => {
+      if (!valid.includes(name)) {
+        throw new Error(`Invalid option "${name}" for ${command}. Expected one of ${valid.join(', ')}`);
+      }
+      args.push(name, ...values);
+    };
+
+    if (this._limit !== null) {
+      add('LIMIT', [this._limit]);
+    }
+    if (this._filter.length) {
+      add('FILTER', this._filter);
+    }
+    if (this._aggregation) {
+      const { timeBucket, rollups } = this._aggregation;
+      add('AGGREGATION', [timeBucket].concat(...rollups.map(formatRollup)));
+    }
+    if (this._window) {
+      if (this._aggregation) {
+        throw new Error('WINDOW cannot be combined with AGGREGATION');
+      }
+      add('WINDOW', this._window);
+    }
+    if (this._align !== null || this._timezone !== null) {
+      if (!this._aggregation) {
+        throw new Error(`${this._align !== null ? 'ALIGN' : 'TIMEZONE'} requires AGGREGATION`);
+      }
+      const calendar = CALENDAR_REGEX.test(String(this._aggregation.timeBucket));
+      if (this._align !== null) {
+        if (calendar) {
+          throw new Error('ALIGN is not supported with calendar time buckets');
+        }
+        if (this._aggregation.timeBucket === 'ALL') {
+          throw new Error('ALIGN is not supported with AGGREGATION ALL');
+        }
+        add('ALIGN', [this._align]);
+      }
+      if (this._timezone !== null) {
+        if (!calendar) {
+          throw new Error('TIMEZONE requires a calendar time bucket (d, w, M or y)');
+        }
+        add('TIMEZONE', [this._timezone]);
+      }
+    }
+    if (this._empty) {
+      if (!this._aggregation) {
+        throw new Error('EMPTY requires AGGREGATION');
+      }
+      if (this._aggregation.timeBucket === 'ALL') {
+        throw new Error('EMPTY is not supported with AGGREGATION ALL');
+      }
+      add('EMPTY', [this._empty]);
+    }
+    if (this._groupBy) {
+      if (!this._aggregation) {
+        throw new Error('GROUPBY requires AGGREGATION');
+      }
+      add('GROUPBY', this._groupBy);
+    }
+    if (this._labels) {
+      add('LABELS', this._labels);
+    }
+    if (this._redacted) {
+      add('REDACT', this._redacted);
+    }
+    if (this._format) {
+      add('FORMAT', [this._format]);
+    }
+    if (this._storage) {
+      add('STORAGE', [this._storage]);
+    }
+    if (this._onConflict) {
+      add('ON_CONFLICT', [this._onConflict]);
+    }
+    return args;
+  }
+
+  /**
+   * Serialize to the argument list expected by the script, starting with min and max
+   */
+  toArgs(command = 'range') {
+    return [this._min, this._max, ...this.options(command)];
+  }
+
+  _getClient() {
+    if (!this.client) {
+      throw new Error('Query: no client specified');
+    }
+    return this.client;
+  }
+
+  range() {
+    return this._getClient().range(this.key, ...this.toArgs('range'));
+  }
+
+  revrange() {
+    return this._getClient().revrange(this.key, ...this.toArgs('revrange'));
+  }
+
+  poprange() {
+    return this._getClient().poprange(this.key, ...this.toArgs('poprange'));
+  }
+
+  remrange() {
+    return this._getClient().remrange(this.key, ...this.toArgs('remrange'));
+  }
+
+  count() {
+    return this._getClient().count(this.key, ...this.toArgs('count'));
+  }
+
+  copy(dest) {
+    return this._getClient().copy(this.key, dest, ...this.toArgs('copy'));
+  }
+
+  /**
+   * Merge the range of this series with that of `others` (a key or a list of keys) into `dest`
+   */
+  merge(others, dest) {
+    return this._getClient().merge([this.key].concat(others), dest, ...this.toArgs('merge'));
+  }
+
+  _scanOptions(options) {
+    // validate
+    this.options('scan');
+    return {
+      ...options,
+      filter: this._filter.length ? this._filter : undefined,
+      labels: this._labels || undefined,
+      redact: this._redacted || undefined
+    };
+  }
+
+  /**
+   * Iterate over the query range a page at a time. See TimeseriesClient#scan
+   * @param {Object} [options]
+   * @param {number} [options.count] page size
+   * @param {boolean} [options.reverse]
+   */
+  scan(options = {}) {
+    return this._getClient().scan(this.key, this._min, this._max, this._scanOptions(options));
+  }
+
+  scanStream(options = {}) {
+    return this._getClient().scanStream(this.key, this._min, this._max, this._scanOptions(options));
+  }
+
+  distinct() {
+    return this._getClient().distinct(this.key, ...this.toArgs('distinct'));
+  }
+
+  countDistinct() {
+    return this._getClient().countDistinct(this.key, ...this.toArgs('count_distinct'));
+  }
+
+  basicStats() {
+    return this._getClient().basicStats(this.key, ...this.toArgs('basic_stats'));
+  }
+
+}
+
+module.exports = {
+  Query,
+  AGGREGATION_TYPES
+};
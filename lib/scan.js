@@ -0,0 +1,117 @@
+const { Readable } = require('stream');
+const { parseMessageResponse } = require('./parsers');
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// serialize scan options to the arguments expected by the script
+function scanArgs(options = {}) {
+  const args = [];
+  if (options.filter) {
+    args.push('FILTER', ...[].concat(options.filter));
+  }
+  if (options.labels) {
+    args.push('LABELS', ...[].concat(options.labels));
+  }
+  if (options.redact) {
+    args.push('REDACT', ...[].concat(options.redact));
+  }
+  return args;
+}
+
+/**
+ * Pages through a range using the script's `scan` (or `revscan`) command.
+ * Each call to `next` fetches a single page.
+ */
+class Cursor {
+
+  constructor(client, key, min = '-', max = '+', options = {}) {
+    this.client = client;
+    this.key = key;
+    this.min = min;
+    this.max = max;
+    this.count = options.count || DEFAULT_PAGE_SIZE;
+    this.command = options.reverse ? 'revscan' : 'scan';
+    this.args = scanArgs(options);
+    this.done = false;
+  }
+
+  /**
+   * Fetch the next page of entries. Resolves to null once the range is exhausted.
+   * Pages may be empty if all of their entries were removed by a filter.
+   */
+  async next() {
+    if (this.done) {
+      return null;
+    }
+    const [cursor, entries] = await this.client.call(
+      [this.key], this.command, this.min, this.max, this.count, ...this.args
+    );
+    if (cursor) {
+      if (this.command === 'scan') {
+        this.min = cursor;
+      } else {
+        this.max = cursor;
+      }
+    } else {
+      this.done = true;
+    }
+    return parseMessageResponse(entries);
+  }
+
+}
+
+/**
+ * Async iterator over the entries between min and max
+ */
+async function* scan(client, key, min, max, options) {
+  const cursor = new Cursor(client, key, min, max, options);
+  let page;
+  while ((page = await cursor.next()) !== null) {
+    yield* page;
+  }
+}
+
+/**
+ * Object mode Readable yielding [id, data] pairs. A page is only fetched when the
+ * consumer asks for more data.
+ */
+class ScanStream extends Readable {
+
+  constructor(client, key, min, max, options = {}) {
+    super({ objectMode: true, highWaterMark: options.count || DEFAULT_PAGE_SIZE });
+    this.cursor = new Cursor(client, key, min, max, options);
+    this.reading = false;
+  }
+
+  _read() {
+    if (this.reading) {
+      return;
+    }
+    this.reading = true;
+    this._fetch().catch(err => this.destroy(err));
+  }
+
+  async _fetch() {
+    let pushed = false;
+    // skip over pages which have been completely filtered out
+    while (!pushed) {
+      const page = await this.cursor.next();
+      if (page === null) {
+        this.reading = false;
+        this.push(null);
+        return;
+      }
+      pushed = page.length > 0;
+      page.forEach(entry => this.push(entry));
+    }
+    this.reading = false;
+  }
+
+}
+
+module.exports = {
+  Cursor,
+  ScanStream,
+  scan,
+  DEFAULT_PAGE_SIZE
+};
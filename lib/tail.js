@@ -0,0 +1,183 @@
+const { Cursor } = require('./scan');
+const { parseObjectResponse } = require('./parsers');
+
+const DEFAULT_BLOCK = 5000;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_COUNT = 100;
+
+// the id immediately following *id* in stream order
+function nextId(id) {
+  const [timestamp, sequence = '0'] = String(id).split('-');
+  return `${timestamp}-${(BigInt(sequence) + BigInt(1)).toString()}`;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Follows one or more timeseries as entries are added, using a blocking XREAD on a dedicated connection.
+ * If a filter (or LABELS/REDACT) is specified, new entries are read back through the script's `scan`
+ * command so that the same FILTER grammar is applied server side.
+ *
+ * Iterating yields [id, data, key] triples. The iterator keeps track of the last id seen per key,
+ * so reads resume from where they left off after a reconnect.
+ */
+class Tail {
+
+  /**
+   * @param {TimeseriesClient} client
+   * @param {string|string[]} keys
+   * @param {Object} [options]
+   * @param {string|Object} [options.from='$'] id after which to start reading. Either a single value for all
+   * keys or an object keyed by key name. `$` means only entries added after the tail is started
+   * @param {string|string[]} [options.filter] FILTER conditions
+   * @param {string[]} [options.labels] fields to return
+   * @param {string[]} [options.redact] fields to exclude
+   * @param {number} [options.count=100] maximum number of entries to read per key at a time
+   * @param {number} [options.block=5000] XREAD BLOCK timeout in ms
+   * @param {number} [options.retryDelay=1000] ms to wait before retrying after a connection error
+   */
+  constructor(client, keys, options = {}) {
+    this.client = client;
+    this.keys = [].concat(keys);
+    if (!this.keys.length) {
+      throw new Error('tail: at least one key must be specified');
+    }
+    this.options = options;
+    this.count = options.count || DEFAULT_COUNT;
+    this.block = options.block === undefined ? DEFAULT_BLOCK : options.block;
+    this.retryDelay = options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay;
+    this.useScan = !!(options.filter || options.labels || options.redact);
+    this.lastIds = null;
+    this.connection = null;
+    this.closed = false;
+    this._iterator = this._run();
+  }
+
+  async _resolveStartIds() {
+    const { from = '$' } = this.options;
+    const lastIds = {};
+    for (const key of this.keys) {
+      let id = (from !== null && typeof from === 'object') ? (from[key] || '$') : String(from);
+      if (id === '$') {
+        const [last] = await this.client.redis.xrevrange(key, '+', '-', 'COUNT', 1);
+        id = last ? last[0] : '0-0';
+      }
+      lastIds[key] = id;
+    }
+    return lastIds;
+  }
+
+  /**
+   * Calls fn until it succeeds, waiting retryDelay ms after each error. Resolves to `{ value }`, or null if the tail
+   * is closed before fn succeeds.
+   */
+  async _retry(fn) {
+    while (!this.closed) {
+      try {
+        return { value: await fn() };
+      } catch (err) {
+        if (this.closed) {
+          break;
+        }
+        if (this.options.onError) {
+          this.options.onError(err);
+        }
+        await delay(this.retryDelay);
+      }
+    }
+    return null;
+  }
+
+  async _read() {
+    const ids = this.keys.map(key => this.lastIds[key]);
+    return this.connection.xread(
+      'COUNT', this.count, 'BLOCK', this.block, 'STREAMS', ...this.keys, ...ids
+    );
+  }
+
+  async *_run() {
+    this.connection = this.client.redis.duplicate();
+    try {
+      const start = await this._retry(() => this._resolveStartIds());
+      if (!start) {
+        return;
+      }
+      this.lastIds = start.value;
+      while (!this.closed) {
+        const result = await this._retry(() => this._read());
+        if (!result) {
+          break;
+        }
+        const reply = result.value;
+        if (!reply) {
+          // BLOCK timeout
+          continue;
+        }
+        for (const [key, messages] of reply) {
+          if (!messages.length) {
+            continue;
+          }
+          const maxId = messages[messages.length - 1][0];
+          if (this.useScan) {
+            const { filter, labels, redact } = this.options;
+            const cursor = new Cursor(this.client, key, nextId(this.lastIds[key]), maxId, {
+              count: this.count,
+              filter,
+              labels,
+              redact
+            });
+            // the cursor only advances once a page is received, so a failed page is simply requested again
+            let page;
+            while ((page = await this._retry(() => cursor.next())) && page.value !== null) {
+              for (const [id, data] of page.value) {
+                yield [id, data, key];
+              }
+            }
+            if (!page) {
+              break;
+            }
+          } else {
+            for (const [id, data] of messages) {
+              yield [id, parseObjectResponse(data), key];
+            }
+          }
+          this.lastIds[key] = maxId;
+        }
+      }
+    } finally {
+      this.closed = true;
+      this.connection.disconnect();
+    }
+  }
+
+  next() {
+    return this._iterator.next();
+  }
+
+  return(value) {
+    this.close();
+    return this._iterator.return(value);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Stop following. A pending read is aborted and the iterator completes.
+   */
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      if (this.connection) {
+        this.connection.disconnect();
+      }
+    }
+  }
+
+}
+
+module.exports = {
+  Tail,
+  nextId
+};
@@ -126,37 +126,511 @@ function stats.median( t )
     end
 end
 
-function stats.basic(t)
-    local count, sum = 0, 0
-    local max = -math.huge
-    local min = math.huge
-    local vk, mean = 0, 0
-    local std = 0
-    local math_max = math.max
-    local math_min = math.min
-    local sqrt = math.sqrt
+-- Get the q-th quantile (0 <= q <= 1) of a sorted table of numbers,
+-- interpolating linearly between the closest ranks
+function stats.quantile(sorted, q)
+    local n = #sorted
+    if (n == 0) then
+        return nil
+    end
+    local h = (n - 1) * q + 1
+    local lo = math.floor(h)
+    if (lo >= n) then
+        return sorted[n]
+    end
+    return sorted[lo] + (h - lo) * (sorted[lo + 1] - sorted[lo])
+end
+
+--- Bounded memory quantile sketch (merging t-digest, see https://arxiv.org/abs/1902.04023).
+--- Values are buffered and periodically merged into at most ~2 * compression centroids.
+local tdigest = {}
+
+function tdigest.new(compression)
+    return {
+        compression = compression or 100,
+        means = {},
+        counts = {},
+        buffer = {},
+        total = 0,
+        min = math.huge,
+        max = -math.huge
+    }
+end
+
+function tdigest.add(td, val)
+    local buffer = td.buffer
+    buffer[#buffer + 1] = val
+    td.min = math.min(td.min, val)
+    td.max = math.max(td.max, val)
+    if (#buffer >= td.compression * 5) then
+        tdigest.compress(td)
+    end
+end
+
+function tdigest.compress(td)
+    if (#td.buffer == 0) then
+        return
+    end
+    local points = {}
+    for i, mean in ipairs(td.means) do
+        points[#points + 1] = { mean, td.counts[i] }
+    end
+    for _, val in ipairs(td.buffer) do
+        points[#points + 1] = { val, 1 }
+    end
+    table.sort(points, function(a, b) return a[1] < b[1] end)
+
+    local total = td.total + #td.buffer
+    local means, counts = {}, {}
+    local mean, count = points[1][1], points[1][2]
+    local so_far = 0
+    for i = 2, #points do
+        local point = points[i]
+        local proposed = count + point[2]
+        local q = (so_far + proposed / 2) / total
+        -- centroids near the tails are kept small, so that extreme quantiles stay accurate
+        if (proposed <= math.max(1, 4 * total * q * (1 - q) / td.compression)) then
+            mean = mean + (point[1] - mean) * point[2] / proposed
+            count = proposed
+        else
+            means[#means + 1] = mean
+            counts[#counts + 1] = count
+            so_far = so_far + count
+            mean, count = point[1], point[2]
+        end
+    end
+    means[#means + 1] = mean
+    counts[#counts + 1] = count
+
+    td.means = means
+    td.counts = counts
+    td.total = total
+    td.buffer = {}
+end
+
+function tdigest.quantile(td, q)
+    tdigest.compress(td)
+    local means, counts = td.means, td.counts
+    local n = #means
+    if (n == 0) then
+        return nil
+    elseif (n == 1) then
+        return means[1]
+    end
+    local target = q * td.total
+    -- each centroid is centered at the midpoint of the ranks it covers
+    local prev_center = counts[1] / 2
+    if (target <= prev_center) then
+        if (prev_center == 0) then
+            return td.min
+        end
+        return td.min + (means[1] - td.min) * target / prev_center
+    end
+    local cumulative = counts[1]
+    for i = 2, n do
+        local center = cumulative + counts[i] / 2
+        if (target <= center) then
+            return means[i - 1] + (means[i] - means[i - 1]) * (target - prev_center) / (center - prev_center)
+        end
+        cumulative = cumulative + counts[i]
+        prev_center = center
+    end
+    local tail = td.total - prev_center
+    if (tail <= 0) then
+        return td.max
+    end
+    return means[n] + (td.max - means[n]) * (target - prev_center) / tail
+end
+
+-- orders values for mode. Numbers sort before strings
+local function value_less_than(a, b)
+    if (type(a) == type(b)) then
+        return a < b
+    end
+    return type(a) == 'number'
+end
+
+--- A running summary of numbers, updated in a single pass by stats.add. Occurrences of each value (for mode and
+--- count_distinct) are only counted if *count_values* is set
+function stats.new(count_values)
+    return {
+        count = 0,
+        sum = 0,
+        sumsq = 0,
+        min = math.huge,
+        max = -math.huge,
+        -- running mean and sums of powers of differences from it
+        mean = 0,
+        m2 = 0,
+        m3 = 0,
+        m4 = 0,
+        values = count_values and {} or nil,
+        distinct = 0
+    }
+end
+
+-- count an occurrence of *val*, keeping track of the most frequent value (the lowest one on a tie)
+function stats.count_value(s, val)
+    local values = s.values
+    local count = (values[val] or 0) + 1
+    values[val] = count
+    if (count == 1) then
+        s.distinct = s.distinct + 1
+    end
+    if (s.mode == nil) or (count > s.mode_count) or ((count == s.mode_count) and value_less_than(val, s.mode)) then
+        s.mode = val
+        s.mode_count = count
+    end
+end
+
+-- see https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Higher-order_statistics
+function stats.add(s, val)
+    local n1 = s.count
+    local n = n1 + 1
+    local delta = val - s.mean
+    local delta_n = delta / n
+    local delta_n2 = delta_n * delta_n
+    local term1 = delta * delta_n * n1
+    s.mean = s.mean + delta_n
+    s.m4 = s.m4 + term1 * delta_n2 * (n * n - 3 * n + 3) + 6 * delta_n2 * s.m2 - 4 * delta_n * s.m3
+    s.m3 = s.m3 + term1 * delta_n * (n - 2) - 3 * delta_n * s.m2
+    s.m2 = s.m2 + term1
+    s.count = n
+    s.sum = s.sum + val
+    s.sumsq = s.sumsq + val * val
+    if (val < s.min) then
+        s.min = val
+    end
+    if (val > s.max) then
+        s.max = val
+    end
+    if (s.values) then
+        stats.count_value(s, val)
+    end
+end
+
+--- The statistics of a summary. var and std are those of a sample, skew and kurtosis (excess) those of a population.
+--- Statistics which are undefined, e.g. the skew of constant values, are false
+function stats.summary(s)
+    local n = s.count
+    local var = (n > 1) and (s.m2 / (n - 1)) or 0
+    local skew, kurtosis = false, false
+    if (s.m2 > 0) then
+        skew = math.sqrt(n) * s.m3 / (s.m2 ^ 1.5)
+        kurtosis = n * s.m4 / (s.m2 * s.m2) - 3
+    end
+    return {
+        count = n,
+        sum = s.sum,
+        sumsq = s.sumsq,
+        min = (n > 0) and s.min or false,
+        max = (n > 0) and s.max or false,
+        mean = (n > 0) and (s.sum / n) or false,
+        var = var,
+        std = math.sqrt(var),
+        skew = skew,
+        kurtosis = kurtosis,
+        mode = (s.mode ~= nil) and s.mode or false,
+        count_distinct = s.distinct
+    }
+end
 
+function stats.basic(t)
+    local s = stats.new(true)
     for _, v in pairs(t) do
         local val = tonumber(v)
         if val ~= nil then
-            local oldmean = mean
-            count = count + 1
-            sum = sum + val
-            max = math_max(max, val)
-            min = math_min(min, val)
-            mean = sum / count
-            vk = vk + (val - mean) * (val - oldmean)
-            std = sqrt(vk / (count - 1))
+            stats.add(s, val)
         end
     end
-    return {
-        count = count,
-        sum = sum,
-        min = min,
-        max = max,
-        mean = mean,
-        std = std
-    }
+    return stats.summary(s)
+end
+
+--- CALENDAR -----
+
+local MS_PER_SECOND = 1000
+local MS_PER_MINUTE = 60000
+local MS_PER_HOUR = 3600000
+local MS_PER_DAY = 86400000
+
+local calendar = {}
+
+-- Days since 1970-01-01 of a (proleptic gregorian) date.
+-- See http://howardhinnant.github.io/date_algorithms.html
+function calendar.days_from_civil(y, m, d)
+    if (m <= 2) then
+        y = y - 1
+    end
+    local era = math.floor(y / 400)
+    local yoe = y - era * 400
+    local doy = math.floor((153 * ((m + 9) % 12) + 2) / 5) + d - 1
+    local doe = yoe * 365 + math.floor(yoe / 4) - math.floor(yoe / 100) + doy
+    return era * 146097 + doe - 719468
+end
+
+-- The year, month and day of a count of days since 1970-01-01
+function calendar.civil_from_days(days)
+    local z = days + 719468
+    local era = math.floor(z / 146097)
+    local doe = z - era * 146097
+    local yoe = math.floor((doe - math.floor(doe / 1460) + math.floor(doe / 36524) - math.floor(doe / 146096)) / 365)
+    local doy = doe - (365 * yoe + math.floor(yoe / 4) - math.floor(yoe / 100))
+    local mp = math.floor((5 * doy + 2) / 153)
+    local d = doy - math.floor((153 * mp + 2) / 5) + 1
+    local m = (mp < 10) and (mp + 3) or (mp - 9)
+    local y = yoe + era * 400
+    if (m <= 2) then
+        y = y + 1
+    end
+    return y, m, d
+end
+
+function calendar.days_in_month(y, m)
+    if (m == 12) then
+        return 31
+    end
+    return calendar.days_from_civil(y, m + 1, 1) - calendar.days_from_civil(y, m, 1)
+end
+
+-- POSIX TZ rules for common zones. Only the current rules are known, so local times
+-- before the last change in a zone's rules may be off
+local TIMEZONES = {
+    ['UTC'] = 'UTC0',
+    ['GMT'] = 'UTC0',
+    ['Etc/UTC'] = 'UTC0',
+    ['Europe/London'] = 'GMT0BST,M3.5.0/1,M10.5.0',
+    ['Europe/Dublin'] = 'GMT0IST,M3.5.0/1,M10.5.0',
+    ['Europe/Lisbon'] = 'WET0WEST,M3.5.0/1,M10.5.0',
+    ['Europe/Amsterdam'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Berlin'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Brussels'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Copenhagen'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Madrid'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Oslo'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Paris'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Prague'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Rome'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Stockholm'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Vienna'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Warsaw'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Zurich'] = 'CET-1CEST,M3.5.0,M10.5.0/3',
+    ['Europe/Athens'] = 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+    ['Europe/Bucharest'] = 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+    ['Europe/Helsinki'] = 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+    ['Europe/Kyiv'] = 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+    -- the former name of Europe/Kyiv
+    ['Europe/Kiev'] = 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+    ['Europe/Istanbul'] = '<+03>-3',
+    ['Europe/Moscow'] = 'MSK-3',
+    ['America/New_York'] = 'EST5EDT,M3.2.0,M11.1.0',
+    ['America/Toronto'] = 'EST5EDT,M3.2.0,M11.1.0',
+    ['America/Chicago'] = 'CST6CDT,M3.2.0,M11.1.0',
+    ['America/Denver'] = 'MST7MDT,M3.2.0,M11.1.0',
+    ['America/Phoenix'] = 'MST7',
+    ['America/Los_Angeles'] = 'PST8PDT,M3.2.0,M11.1.0',
+    ['America/Vancouver'] = 'PST8PDT,M3.2.0,M11.1.0',
+    ['America/Anchorage'] = 'AKST9AKDT,M3.2.0,M11.1.0',
+    ['America/Halifax'] = 'AST4ADT,M3.2.0,M11.1.0',
+    ['America/St_Johns'] = 'NST3:30NDT,M3.2.0,M11.1.0',
+    ['America/Mexico_City'] = 'CST6',
+    ['America/Bogota'] = '<-05>5',
+    ['America/Lima'] = '<-05>5',
+    ['America/Sao_Paulo'] = '<-03>3',
+    ['America/Argentina/Buenos_Aires'] = '<-03>3',
+    ['Pacific/Honolulu'] = 'HST10',
+    ['Pacific/Auckland'] = 'NZST-12NZDT,M9.5.0,M4.1.0/3',
+    ['Australia/Sydney'] = 'AEST-10AEDT,M10.1.0,M4.1.0/3',
+    ['Australia/Melbourne'] = 'AEST-10AEDT,M10.1.0,M4.1.0/3',
+    ['Australia/Brisbane'] = 'AEST-10',
+    ['Australia/Adelaide'] = 'ACST-9:30ACDT,M10.1.0,M4.1.0/3',
+    ['Australia/Perth'] = 'AWST-8',
+    ['Asia/Tokyo'] = 'JST-9',
+    ['Asia/Seoul'] = 'KST-9',
+    ['Asia/Shanghai'] = 'CST-8',
+    ['Asia/Hong_Kong'] = 'HKT-8',
+    ['Asia/Singapore'] = '<+08>-8',
+    ['Asia/Bangkok'] = '<+07>-7',
+    ['Asia/Jakarta'] = 'WIB-7',
+    ['Asia/Kolkata'] = 'IST-5:30',
+    ['Asia/Kathmandu'] = '<+0545>-5:45',
+    ['Asia/Karachi'] = 'PKT-5',
+    ['Asia/Dubai'] = '<+04>-4',
+    ['Asia/Tehran'] = '<+0330>-3:30',
+    ['Asia/Jerusalem'] = 'IST-2IDT,M3.4.4/26,M10.5.0',
+    ['Africa/Cairo'] = 'EET-2EEST,M4.5.5/0,M10.5.4/24',
+    ['Africa/Johannesburg'] = 'SAST-2',
+    ['Africa/Lagos'] = 'WAT-1',
+    ['Africa/Nairobi'] = 'EAT-3'
+}
+
+--- Parse a POSIX TZ string, e.g. "CET-1CEST,M3.5.0,M10.5.0/3". Only the M (month.week.day)
+--- form of DST rules is supported. Returns nil if the string cannot be parsed
+function calendar.parse_posix_tz(spec)
+    local pos = 1
+
+    local function name()
+        local str = string.match(spec, '^%b<>', pos) or string.match(spec, '^%a%a%a+', pos)
+        if (str) then
+            pos = pos + #str
+        end
+        return str
+    end
+
+    -- [+|-]hh[:mm[:ss]] in ms
+    local function time()
+        local str = string.match(spec, '^[+-]?%d+[:%d]*', pos)
+        if (str == nil) then
+            return nil
+        end
+        pos = pos + #str
+        local sign = (string.sub(str, 1, 1) == '-') and -1 or 1
+        local h, m, s = string.match(str, '^[+-]?(%d+):?(%d*):?(%d*)$')
+        if (h == nil) then
+            return nil
+        end
+        return sign * ((tonumber(h) * 60 + (tonumber(m) or 0)) * 60 + (tonumber(s) or 0)) * 1000
+    end
+
+    -- Mm.w.d[/time]
+    local function rule()
+        local _, finish, m, w, d = string.find(spec, '^,M(%d+)%.(%d)%.(%d)', pos)
+        if (finish == nil) then
+            return nil
+        end
+        pos = finish + 1
+        local at = 2 * MS_PER_HOUR
+        if (string.sub(spec, pos, pos) == '/') then
+            pos = pos + 1
+            at = time()
+        end
+        return at and { month = tonumber(m), week = tonumber(w), day = tonumber(d), time = at }
+    end
+
+    local tz = { cache = {} }
+    local std = name() and time()
+    if (std == nil) then
+        return nil
+    end
+    -- POSIX offsets are west of UTC
+    tz.std = -std
+    if (pos <= #spec) then
+        if (name() == nil) then
+            return nil
+        end
+        local dst = time()
+        tz.dst = dst and -dst or (tz.std + MS_PER_HOUR)
+        tz.start_rule = rule()
+        tz.end_rule = rule()
+        if (tz.start_rule == nil) or (tz.end_rule == nil) then
+            return nil
+        end
+    end
+    if (pos <= #spec) then
+        return nil
+    end
+    return tz
+end
+
+--- Resolve a timezone given as a name from TIMEZONES, a POSIX TZ string or a fixed offset such as +05:30
+function calendar.get_timezone(name)
+    local sign, h, m = string.match(name, '^([+-])(%d%d):?(%d%d)$')
+    if (sign) then
+        local offset = (tonumber(h) * 60 + tonumber(m)) * MS_PER_MINUTE
+        return { std = (sign == '-') and -offset or offset }
+    end
+    local tz = calendar.parse_posix_tz(TIMEZONES[name] or name)
+    return assert(tz, 'TIMEZONE: unknown timezone "' .. name .. '"')
+end
+
+-- local (wall clock) time of a DST transition in the given year
+local function transition_time(rule, year)
+    local first = calendar.days_from_civil(year, rule.month, 1)
+    -- 1970-01-01 was a thursday. 0 = sunday
+    local weekday = (first + 4) % 7
+    local day = (rule.day - weekday) % 7 + (rule.week - 1) * 7
+    local month_days = calendar.days_in_month(year, rule.month)
+    while (day >= month_days) do
+        day = day - 7
+    end
+    return (first + day) * MS_PER_DAY + rule.time
+end
+
+--- The offset (in ms, east of UTC) of a timezone at the given UTC time
+function calendar.utc_offset(tz, utc)
+    if (tz.dst == nil) then
+        return tz.std
+    end
+    local year = calendar.civil_from_days(math.floor((utc + tz.std) / MS_PER_DAY))
+    local transitions = tz.cache[year]
+    if (transitions == nil) then
+        -- the start rule is given in standard time, the end rule in daylight time
+        transitions = {
+            transition_time(tz.start_rule, year) - tz.std,
+            transition_time(tz.end_rule, year) - tz.dst
+        }
+        tz.cache[year] = transitions
+    end
+    local start, finish = transitions[1], transitions[2]
+    local is_dst
+    if (start < finish) then
+        is_dst = (utc >= start) and (utc < finish)
+    else
+        -- southern hemisphere
+        is_dst = (utc >= start) or (utc < finish)
+    end
+    return is_dst and tz.dst or tz.std
+end
+
+--- Convert a local (wall clock) time to UTC
+function calendar.to_utc(tz, local_time)
+    local utc = local_time - calendar.utc_offset(tz, local_time - tz.std)
+    return local_time - calendar.utc_offset(tz, utc)
+end
+
+-- local start of the calendar bucket containing local time *t*. Buckets of more than one
+-- unit are aligned to 1970-01-01
+function calendar.floor(unit, n, t)
+    local days = math.floor(t / MS_PER_DAY)
+    if (unit == 'd') then
+        days = math.floor(days / n) * n
+    elseif (unit == 'w') then
+        -- weeks start on monday. 1970-01-01 was a thursday
+        local weeks = math.floor((days + 3) / 7)
+        days = math.floor(weeks / n) * n * 7 - 3
+    else
+        local y, m = calendar.civil_from_days(days)
+        if (unit == 'M') then
+            local months = math.floor((y * 12 + m - 1) / n) * n
+            y = math.floor(months / 12)
+            m = months % 12 + 1
+        else
+            y = math.floor(y / n) * n
+            m = 1
+        end
+        days = calendar.days_from_civil(y, m, 1)
+    end
+    return days * MS_PER_DAY
+end
+
+-- add n units to a local bucket start
+function calendar.add(unit, n, t)
+    local days = math.floor(t / MS_PER_DAY)
+    if (unit == 'd') then
+        days = days + n
+    elseif (unit == 'w') then
+        days = days + n * 7
+    else
+        local y, m = calendar.civil_from_days(days)
+        if (unit == 'M') then
+            local months = y * 12 + m - 1 + n
+            y = math.floor(months / 12)
+            m = months % 12 + 1
+        else
+            y = y + n
+        end
+        days = calendar.days_from_civil(y, m, 1)
+    end
+    return days * MS_PER_DAY
 end
 
 --- CONSTS -----
@@ -172,22 +646,85 @@ local AGGREGATION_TYPES = {
     first = 1,
     last = 1,
     range = 1,
-    rate = 1
+    rate = 1,
+    increase = 1,
+    delta = 1,
+    irate = 1,
+    counter_rate = 1,
+    twa = 1,
+    integral = 1,
+    p50 = 1,
+    p90 = 1,
+    p95 = 1,
+    p99 = 1,
+    quantile = 1,
+    var = 1,
+    sumsq = 1,
+    skew = 1,
+    kurtosis = 1,
+    mode = 1,
+    count_distinct = 1,
+    stats = 1
 }
 
+-- quantile aggregations which can be specified by name, e.g. p95(duration)
+local QUANTILE_ALIASES = {
+    p50 = 0.5,
+    p90 = 0.9,
+    p95 = 0.95,
+    p99 = 0.99
+}
+
+local QUANTILE_METHODS = {
+    auto = 1,
+    exact = 1,
+    sketch = 1
+}
+
+-- interpolation between the samples of time weighted aggregations
+local WEIGHTED_METHODS = {
+    step = 1,
+    linear = 1
+}
+
+-- rolling statistics of the WINDOW option
+local WINDOW_FUNCTIONS = {
+    sma = 1,
+    ewma = 1,
+    sum = 1,
+    min = 1,
+    max = 1
+}
+
+-- number of values in a bucket above which 'auto' quantiles are estimated using a sketch
+local EXACT_QUANTILE_LIMIT = 1000
+local QUANTILE_COMPRESSION = 100
+
 local ALL_OPTIONS = {
     LIMIT = 1,
     AGGREGATION = 1,
+    WINDOW = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    EMPTY = 1,
+    GROUPBY = 1,
     FILTER = 1,
     LABELS = 1,
     REDACT = 1,
     FORMAT = 1,
-    STORAGE = 1
+    STORAGE = 1,
+    REDUCE = 1,
+    ON_CONFLICT = 1
 }
 
 local PARAMETER_OPTIONS = {
     LIMIT = 1,
     AGGREGATION = 1,
+    WINDOW = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    EMPTY = 1,
+    GROUPBY = 1,
     FILTER = 1,
     LABELS = 1,
     REDACT = 1,
@@ -197,17 +734,84 @@ local PARAMETER_OPTIONS = {
 local COPY_OPTIONS = {
     LIMIT = 1,
     AGGREGATION = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    EMPTY = 1,
+    GROUPBY = 1,
     FILTER = 1,
     LABELS = 1,
     REDACT = 1,
     STORAGE = 1
 }
 
+-- options of a compaction rule (see createrule)
+local RULE_OPTIONS = {
+    AGGREGATION = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    GROUPBY = 1,
+    FILTER = 1,
+    LABELS = 1,
+    REDACT = 1
+}
+
+-- options of mrange
+local MRANGE_OPTIONS = {
+    LIMIT = 1,
+    AGGREGATION = 1,
+    WINDOW = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    EMPTY = 1,
+    GROUPBY = 1,
+    FILTER = 1,
+    LABELS = 1,
+    REDACT = 1,
+    REDUCE = 1
+}
+
+-- options of merge
+local MERGE_OPTIONS = {
+    LIMIT = 1,
+    FILTER = 1,
+    LABELS = 1,
+    REDACT = 1,
+    STORAGE = 1,
+    ON_CONFLICT = 1
+}
+
+-- functions combining the aggregates of a bucket across series (see mrange)
+local REDUCE_VALUES = {
+    sum = 1,
+    avg = 1,
+    max = 1
+}
+
+-- ways of resolving entries with the same id in several sources (see merge)
+local ON_CONFLICT_VALUES = {
+    first = 1,
+    last = 1,
+    combine = 1,
+    sum = 1
+}
+
 local FORMAT_VALUES = {
     json = 1,
     msgpack = 1
 }
 
+-- strategies for filling buckets without data
+local EMPTY_VALUES = {
+    null = 1,
+    zero = 1,
+    previous = 1,
+    next = 1,
+    linear = 1
+}
+
+-- maximum number of buckets generated with the EMPTY option
+local EMPTY_BUCKET_LIMIT = 10000
+
 local STORAGE_VALUES = {
     timeseries = 1,
     hash = 1
@@ -240,6 +844,37 @@ local function split(source, sep)
     return tonumber(timestamp), sequence
 end
 
+local MAX_SEQUENCE = '18446744073709551615'
+
+--- the id immediately following *id* in stream order
+local function next_id(id)
+    local timestamp, sequence = split(id, SEPARATOR)
+    return string.format('%.0f', timestamp) .. SEPARATOR .. string.format('%.0f', (tonumber(sequence) or 0) + 1)
+end
+
+--- the id immediately preceding *id* in stream order, or nil if there is none
+local function prev_id(id)
+    local timestamp, sequence = split(id, SEPARATOR)
+    sequence = tonumber(sequence) or 0
+    if sequence > 0 then
+        return string.format('%.0f', timestamp) .. SEPARATOR .. string.format('%.0f', sequence - 1)
+    end
+    if timestamp <= 0 then
+        return nil
+    end
+    return string.format('%.0f', timestamp - 1) .. SEPARATOR .. MAX_SEQUENCE
+end
+
+--- the key of a structure kept alongside *key*, such as its rules. It shares the hash tag of *key*, or is tagged
+--- with *key* itself, so that it hashes to the same cluster slot
+local function companion_key(key, suffix)
+    local tag = string.match(key, '^[^{]*{([^}]*)}')
+    if (tag ~= nil) and (tag ~= '') then
+        return key .. ':' .. suffix
+    end
+    return '{' .. key .. '}:' .. suffix
+end
+
 local function is_possibly_number(val)
     local res = tonumber(val)
     local is_num = (res ~= nil)
@@ -323,6 +958,16 @@ local function to_hash(value)
     return result
 end
 
+-- encode a response according to the FORMAT option. Nothing is done if no format is specified
+local function format_response(value, format)
+    if (format == 'json') then
+        return cjson.encode(value)
+    elseif (format == 'msgpack') then
+        return cmsgpack.pack(value)
+    end
+    return value
+end
+
 --- PARAMETER PARSING --------
 
 local function parse_range_value(candidate, name)
@@ -330,11 +975,14 @@ local function parse_range_value(candidate, name)
     if (candidate == '+') or (candidate == '-') then
         return candidate, true
     else
-        -- todo: split between timestamp and sequence parts
-        local value = split(candidate, '-')
-        if (value == nil) then
+        local value, sequence = split(candidate, '-')
+        if (value == nil) or (sequence ~= nil and tonumber(sequence) == nil) then
             error('number expected for ' ..name)
         end
+        -- keep full ids (timestamp-sequence) intact
+        if (sequence ~= nil) then
+            return candidate, false
+        end
         return value, false
     end
 end
@@ -354,81 +1002,76 @@ local function get_key_val_varargs(method, ...)
 end
 
 
--- Source https://help.interfaceware.com/kb/parsing-csv-files
-local function parse_list (line,sep)
+local function trim(s)
+    return (string.gsub(s, '^%s*(.-)%s*$', '%1'))
+end
+
+--- Parse a separated list of values (CSV style), e.g.
+---     ready,"almost done","say ""when""",burnt to a crisp
+--- Quoted values may contain the separator as well as leading and trailing
+--- spaces, and a quote is escaped by doubling it. Unquoted values are trimmed.
+local function parse_list(line, sep)
     local res = {}
+    local len = #line
     local pos = 1
     sep = sep or ','
+
+    if (trim(line) == '') then
+        return res
+    end
+
     while true do
-        local c = string.sub(line,pos,pos)
-        if (c == "") then break end
-        local posn = pos
-        local ctest = string.sub(line,pos,pos)
-        while ctest == ' ' do
-            -- handle space(s) at the start of the line (with quoted values)
-            posn = posn + 1
-            ctest = string.sub(line,posn,posn)
-            if ctest == '"' then
-                pos = posn
-                c = ctest
-            end
-        end
-        if (c == '"') then
+        -- skip space(s) before the value
+        pos = string.find(line, '[^ ]', pos) or (len + 1)
+        local value
+        if (string.sub(line, pos, pos) == '"') then
             -- quoted value (ignore separator within)
-            local txt = ""
-            repeat
-                local startp,endp = string.find(line,'^%b""',pos)
-                txt = txt..string.sub(line,startp+1,endp-1)
-                pos = endp + 1
-                c = string.sub(line,pos,pos)
-                if (c == '"') then
-                    txt = txt..'"'
-                    -- check first char AFTER quoted string, if it is another
-                    -- quoted string without separator, then append it
-                    -- this is the way to "escape" the quote char in a quote. example:
-                    --   value1,"blub""blip""boing",value3  will result in blub"blip"boing  for the middle
-                elseif c == ' ' then
-                    -- handle space(s) before the delimiter (with quoted values)
-                    while c == ' ' do
-                        pos = pos + 1
-                        c = string.sub(line,pos,pos)
-                    end
-                end
-            until (c ~= '"')
-            table.insert(res,txt)
-            -- trace(c,pos,i)
-            if not (c == sep or c == "") then
-                error("ERROR: Invalid field - near character "..pos.." in the item list: \n"..line, 3)
-            end
+            local parts = {}
             pos = pos + 1
-            posn = pos
-            ctest = string.sub(line,pos,pos)
-            -- trace(ctest)
-            while ctest == ' ' do
-                -- handle space(s) after the delimiter (with quoted values)
-                posn = posn + 1
-                ctest = string.sub(line,posn,posn)
-                if ctest == '"' then
-                    pos = posn
-                    c = ctest
+            while true do
+                local quote = string.find(line, '"', pos, true)
+                if (quote == nil) then
+                    error('FILTER: unterminated quoted value in list : ' .. line)
                 end
+                parts[#parts + 1] = string.sub(line, pos, quote - 1)
+                pos = quote + 1
+                if (string.sub(line, pos, pos) ~= '"') then
+                    break
+                end
+                -- doubled quote
+                parts[#parts + 1] = '"'
+                pos = pos + 1
             end
-        else
-            -- no quotes used, just look for the first separator
-            local startp, endp = string.find(line,sep,pos)
-            if (startp) then
-                table.insert(res,string.sub(line,pos,startp-1))
-                pos = endp + 1
-            else
-                -- no separator found -> use rest of string and terminate
-                table.insert(res,string.sub(line,pos))
-                break
+            value = table.concat(parts)
+            -- skip space(s) before the separator
+            pos = string.find(line, '[^ ]', pos) or (len + 1)
+            if (pos <= len) and (string.sub(line, pos, pos + #sep - 1) ~= sep) then
+                error('FILTER: expected "' .. sep .. '" after quoted value near character ' .. pos .. ' in list : ' .. line)
             end
+        else
+            -- no quotes used, just look for the next separator
+            local next_sep = string.find(line, sep, pos, true) or (len + 1)
+            value = trim(string.sub(line, pos, next_sep - 1))
+            pos = next_sep
+        end
+        res[#res + 1] = value
+        if (pos > len) then
+            break
         end
+        pos = pos + #sep
     end
+
     return res
 end
 
+-- Returns a predicate function that matches
+-- when the given predicate does not.
+local function negate(predicate)
+    return function(s)
+        return not predicate(s)
+    end
+end
+
 --- Parse a filter condition and return a function implementing
 --- the corresponding filter predicate
 local function parse_filter_condition(exp)
@@ -485,11 +1128,20 @@ local function parse_filter_condition(exp)
         end
     end
 
+    -- numbers are compared by value, so that e.g. 10 matches 10.0
+    local function list_key(val)
+        local is_num, num = is_possibly_number(val)
+        if (is_num) then
+            return num
+        end
+        return tostring(val)
+    end
+
     local function contains(_field, _matches)
         return function(v)
             local matches = _matches
             local field = _field
-            return matches[tostring(v[field])] ~= nil
+            return matches[list_key(v[field])] ~= nil
         end
     end
 
@@ -497,59 +1149,221 @@ local function parse_filter_condition(exp)
         return function(v)
             local matches = _matches
             local field = _field
-            return matches[tostring(v[field])] == nil
+            return matches[list_key(v[field])] == nil
         end
     end
 
-    local function match_contains(cond)
-        local values, _, field
-        local ops = { '!=', '=' }
-        local contains_funcs = { not_contains, contains }
+    -- convert a glob to an anchored lua pattern. '*' matches any run of characters, '?' a single one
+    local function glob_to_pattern(glob)
+        local escaped = string.gsub(glob, '[%^%$%(%)%%%.%[%]%+%-]', '%%%0')
+        escaped = string.gsub(escaped, '[%*%?]', { ['*'] = '.*', ['?'] = '.' })
+        return '^' .. escaped .. '$'
+    end
 
-        for i, op in ipairs(ops) do
-            local pattern = ID_CAPTURE_PATTERN .. op .. '(%b())'
-            _, _, field, values = string.find(cond, pattern)
-            if field and values then
-                -- remove parens
-                values = values:sub(2, values:len() - 1)
+    local string_matchers = {
+        contains = function(s, sub)
+            return string.find(s, sub, 1, true) ~= nil
+        end,
+        prefix = function(s, prefix)
+            return string.sub(s, 1, #prefix) == prefix
+        end,
+        suffix = function(s, suffix)
+            return (suffix == '') or (string.sub(s, -#suffix) == suffix)
+        end,
+        pattern = function(s, pattern)
+            return string.find(s, pattern) ~= nil
+        end
+    }
 
-                local matches = parse_list(values, ',')
-                if #matches == 0 then
-                    error('No values found for contains match')
-                end
-                -- transform indexed array to an associative hash for faster comparisons
-                local temp = {}
-                for _, val in ipairs(matches) do
-                    temp[tostring(val)] = 1
-                end
-                matches = temp
-                return contains_funcs[i](field, matches)
+    local function string_match(_field, _matcher, _val, _ignore_case)
+        return function(v)
+            local field = _field
+            local to_compare = v[field]
+            if (to_compare == nil) then
+                return false
             end
+            to_compare = tostring(to_compare)
+            if (_ignore_case) then
+                to_compare = string.lower(to_compare)
+            end
+            return _matcher(to_compare, _val)
         end
-
-        return nil
     end
 
-    local function match_ops(cond)
-        local pattern, val, field, _
-        local ops = { '!=', '<=', '>=', '=', '<', '>' }
-        local op_names = { 'ne', 'lte', 'gte', 'eq', 'lt', 'gt' }
+    local function match_string(cond)
+        -- longer operators first. A '*' before the '=' makes the match case insensitive
+        local ops = { '**=', '^*=', '$*=', '~*=', '*=', '^=', '$=', '~=', '%=' }
+        local matcher_names = {
+            'contains', 'prefix', 'suffix', 'glob', 'contains', 'prefix', 'suffix', 'glob', 'pattern'
+        }
 
         for i, op in ipairs(ops) do
-            pattern = ID_CAPTURE_PATTERN .. op .. '(.+)'
-            _, _, field, val = string.find(cond, pattern)
+            local escaped_op = string.gsub(op, '%p', '%%%0')
+            local _, _, field, val = string.find(cond, '^' .. ID_CAPTURE_PATTERN .. escaped_op .. '(.*)$')
             if (field and val) then
-                return compare(field, op_names[i], val)
+                local name = matcher_names[i]
+                local ignore_case = #op == 3
+                if (ignore_case) then
+                    val = string.lower(val)
+                end
+                if (name == 'glob') then
+                    name = 'pattern'
+                    val = glob_to_pattern(val)
+                elseif (name == 'pattern') then
+                    local valid = pcall(string.find, '', val)
+                    assert(valid, 'FILTER: invalid pattern : ' .. val)
+                end
+                return string_match(field, string_matchers[name], val, ignore_case)
             end
         end
 
         return nil
     end
 
-    local p = assert(match_contains(exp) or match_ops(exp), 'FILTER: unable to parse expression : ' .. exp)
+    local field_predicates = {
+        EXISTS = function(val)
+            return val ~= nil
+        end,
+        MISSING = function(val)
+            return val == nil
+        end,
+        ISNUMBER = function(val)
+            return tonumber(val) ~= nil
+        end
+    }
 
-    return p
-end
+    local function field_predicate(_field, _predicate)
+        return function(v)
+            return _predicate(v[_field])
+        end
+    end
+
+    -- EXISTS(field), MISSING(field), ISNUMBER(field)
+    local function match_predicate(cond)
+        local _, _, name, field = string.find(cond, '^%s*(%a+)%s*%(%s*' .. ID_CAPTURE_PATTERN .. '%s*%)%s*$')
+        if (name == nil) then
+            return nil
+        end
+        local predicate = field_predicates[string.upper(name)]
+        assert(predicate, 'FILTER: unknown predicate : ' .. name)
+        return field_predicate(field, predicate)
+    end
+
+    -- field=[min..max], with '(' or ']' before min and ')' or '[' after max for an exclusive bound. Either bound
+    -- may be omitted. field=(min..max) is a list, so both bounds are excluded with field=]min..max[
+    local function match_interval(cond)
+        local pattern = '^%s*' .. ID_CAPTURE_PATTERN .. '(!?=)([%[%(%]])(.-)%.%.(.-)([%]%)%[])%s*$'
+        local _, _, field, op, lower_bracket, lower, upper, upper_bracket = string.find(cond, pattern)
+        if (field == nil) then
+            return nil
+        end
+        assert(lower ~= '' or upper ~= '', 'FILTER: interval requires at least one bound : ' .. cond)
+
+        local is_numeric = true
+        for _, bound in ipairs({ lower, upper }) do
+            if (bound ~= '') and (tonumber(bound) == nil) then
+                is_numeric = false
+            end
+        end
+        local function to_bound(bound)
+            if (bound == '') then
+                return nil
+            end
+            return is_numeric and tonumber(bound) or bound
+        end
+        lower = to_bound(lower)
+        upper = to_bound(upper)
+        local lower_inclusive = lower_bracket == '['
+        local upper_inclusive = upper_bracket == ']'
+
+        local predicate = function(v)
+            local val = v[field]
+            if (val == nil) then
+                return false
+            end
+            if (is_numeric) then
+                val = tonumber(val)
+                if (val == nil) then
+                    return false
+                end
+            else
+                val = tostring(val)
+            end
+            if (lower ~= nil) then
+                if (val < lower) or ((val == lower) and not lower_inclusive) then
+                    return false
+                end
+            end
+            if (upper ~= nil) then
+                if (val > upper) or ((val == upper) and not upper_inclusive) then
+                    return false
+                end
+            end
+            return true
+        end
+
+        if (op == '!=') then
+            return negate(predicate)
+        end
+        return predicate
+    end
+
+    local function match_contains(cond)
+        local values, _, field
+        local ops = { '!=', '=' }
+        local contains_funcs = { not_contains, contains }
+
+        for i, op in ipairs(ops) do
+            local pattern = '^%s*' .. ID_CAPTURE_PATTERN .. op .. '%((.*)%)%s*$'
+            _, _, field, values = string.find(cond, pattern)
+            if field and values then
+                local matches = parse_list(values, ',')
+                if #matches == 0 then
+                    error('No values found for contains match')
+                end
+                -- transform indexed array to an associative hash for faster comparisons
+                local temp = {}
+                for _, val in ipairs(matches) do
+                    temp[list_key(val)] = 1
+                end
+                matches = temp
+                return contains_funcs[i](field, matches)
+            end
+        end
+
+        return nil
+    end
+
+    local function match_ops(cond)
+        local pattern, val, field, _
+        local ops = { '!=', '<=', '>=', '=', '<', '>' }
+        local op_names = { 'ne', 'lte', 'gte', 'eq', 'lt', 'gt' }
+
+        for i, op in ipairs(ops) do
+            pattern = '^' .. ID_CAPTURE_PATTERN .. op .. '(.+)$'
+            _, _, field, val = string.find(cond, pattern)
+            if (field and val) then
+                -- field=null matches a missing field, field!=null a present one
+                if (val == 'null') and (op == '=' or op == '!=') then
+                    local name = (op == '=') and 'MISSING' or 'EXISTS'
+                    return field_predicate(field, field_predicates[name])
+                end
+                return compare(field, op_names[i], val)
+            end
+        end
+
+        return nil
+    end
+
+    local p = match_predicate(exp) or match_contains(exp) or match_interval(exp) or match_string(exp) or match_ops(exp)
+    if (p == nil) then
+        -- e.g. NOT(a=1) passed as a single argument, whose parentheses are left in the condition
+        assert(not string.find(exp, '[()]'), 'FILTER: unbalanced parenthesis in expression : ' .. exp)
+        error('FILTER: unable to parse expression : ' .. exp)
+    end
+
+    return p
+end
 
 -- Returns a predicate function that matches
 -- *all* of the given predicate functions.
@@ -585,60 +1399,407 @@ local function join_OR(predicates)
     end
 end
 
-local function parse_filter(args, i)
-    local predicate, expr
-    local predicates = {}
-    local count = 0
-    local u_expr
-    local len = #args
-    local join_funcs = {
-        OR = join_OR,
-        AND = join_AND
-    }
+local FILTER_KEYWORDS = {
+    AND = 1,
+    OR = 1,
+    NOT = 1
+}
 
-    local function parse_join(chain, arg, op, j)
-        local exp = op;
-        while (exp == op) do
-            j = j + 1
-            chain[#chain + 1] = parse_filter_condition(arg[j])
-            j = j + 1
-            if (j >= len) then
-                break
+-- Net count of open brackets in str, ignoring quoted text. Square brackets
+-- are counted too, since an interval may be closed by either, e.g. temp=[10..20)
+local function paren_balance(str)
+    local balance = 0
+    local quoted = false
+    for c in string.gmatch(str, '.') do
+        if (c == '"') then
+            quoted = not quoted
+        elseif not quoted then
+            if (c == '(') or (c == '[') then
+                balance = balance + 1
+            elseif (c == ')') or (c == ']') then
+                balance = balance - 1
             end
-            exp = string.upper(arg[j])
         end
-        return j
+    end
+    return balance
+end
+
+--- Split FILTER arguments into tokens, stopping at the first option name.
+--- Parentheses may be passed as separate arguments or attached to the
+--- start or end of a condition, e.g. "(temp>40" "OR" "status=alert)"
+local function tokenize_filter(args, i)
+    local tokens = {}
+    local len = #args
+
+    local function add(type, text)
+        local index = #tokens + 1
+        tokens[index] = { type = type, text = text, index = index }
     end
 
-    local chain
-    local parse_filter_condition = parse_filter_condition
     while i <= len do
-        expr = args[i]
-        u_expr = string.upper(expr)
-        if (ALL_OPTIONS[u_expr]) then
+        local arg = args[i]
+        if (ALL_OPTIONS[string.upper(arg)]) then
             break
         end
-
-        predicate = parse_filter_condition(expr)
+        local lead, rest = string.match(arg, '^(%(*)(.*)$')
+        for _ = 1, #lead do
+            add('(', '(')
+        end
+        local u_rest = string.upper(rest)
+        if (FILTER_KEYWORDS[u_rest]) then
+            add(u_rest, rest)
+        elseif (rest ~= '') then
+            -- a trailing ')' closes a group unless it balances a value list, e.g. size=(10,20)
+            local balance = paren_balance(rest)
+            local closing = 0
+            while (balance < 0) and (string.sub(rest, -1) == ')') do
+                rest = string.sub(rest, 1, -2)
+                balance = balance + 1
+                closing = closing + 1
+            end
+            if (rest ~= '') then
+                add('condition', rest)
+            end
+            for _ = 1, closing do
+                add(')', ')')
+            end
+        end
         i = i + 1
-        u_expr = string.upper(args[i] or '')
-        while (u_expr == 'AND') or (u_expr == 'OR') do
-            chain = { predicate }
-            i = parse_join(chain, args, u_expr, i)
-            predicate = join_funcs[u_expr](chain)
-            if (i >= len) then
-                break
+    end
+
+    return tokens, i
+end
+
+--- Parse a FILTER expression into a single predicate. Precedence, from
+--- highest to lowest, is parentheses, NOT, AND, OR. Conditions separated only
+--- by whitespace are ANDed as separate clauses, so that
+---     a=1 b=2 OR c=3
+--- is equivalent to
+---     a=1 AND (b=2 OR c=3)
+local function parse_filter(args, i)
+    local tokens
+    tokens, i = tokenize_filter(args, i)
+    assert(#tokens > 0, 'FILTER: at least one condition must be specified ')
+
+    local pos = 1
+    local parse_clauses
+
+    local function token_error(token, message)
+        error('FILTER: ' .. message .. ' "' .. token.text .. '" at token ' .. token.index)
+    end
+
+    local function parse_primary()
+        local token = tokens[pos]
+        if (token == nil) then
+            token_error(tokens[pos - 1], 'condition expected after')
+        end
+        pos = pos + 1
+        if (token.type == 'condition') then
+            return parse_filter_condition(token.text)
+        elseif (token.type == '(') then
+            local predicate = parse_clauses()
+            local closing = tokens[pos]
+            if (closing == nil) or (closing.type ~= ')') then
+                token_error(token, 'missing ")" to match')
             end
-            u_expr = string.upper(args[i])
+            pos = pos + 1
+            return predicate
+        end
+        token_error(token, 'unexpected')
+    end
+
+    local function parse_unary()
+        local token = tokens[pos]
+        if (token and token.type == 'NOT') then
+            pos = pos + 1
+            return negate(parse_unary())
+        end
+        return parse_primary()
+    end
+
+    local function parse_binary(op, parse_operand, join)
+        local predicates = { parse_operand() }
+        while (tokens[pos] and tokens[pos].type == op) do
+            pos = pos + 1
+            predicates[#predicates + 1] = parse_operand()
+        end
+        return join(predicates)
+    end
+
+    local function parse_and()
+        return parse_binary('AND', parse_unary, join_AND)
+    end
+
+    local function parse_or()
+        return parse_binary('OR', parse_and, join_OR)
+    end
+
+    parse_clauses = function()
+        local clauses = {}
+        repeat
+            clauses[#clauses + 1] = parse_or()
+        until (tokens[pos] == nil) or (tokens[pos].type == ')')
+        -- Optimize for common case (1 condition)
+        return join_AND(clauses)
+    end
+
+    local predicate = parse_clauses()
+    if (tokens[pos] ~= nil) then
+        token_error(tokens[pos], 'unexpected')
+    end
+
+    return predicate, i
+end
+
+-- fixed duration units, in ms
+local DURATION_UNITS = {
+    ms = 1,
+    s = MS_PER_SECOND,
+    m = MS_PER_MINUTE,
+    h = MS_PER_HOUR
+}
+
+-- units of calendar buckets, whose width depends on where they start
+local CALENDAR_UNITS = {
+    d = 1,
+    w = 1,
+    M = 1,
+    y = 1
+}
+
+-- a fixed duration such as 1s or 15m (in ms), or a number of ms
+local function parse_duration(spec, name)
+    local value = tonumber(spec)
+    if (value == nil) then
+        local n, unit = string.match(spec, '^(%d+)(%a+)$')
+        value = tonumber(n) and DURATION_UNITS[unit] and (tonumber(n) * DURATION_UNITS[unit])
+    end
+    return assert((value and value > 0) and value, name .. ': expected a duration such as 1s or 1h, got "' .. spec .. '"')
+end
+
+-- a field name, or * for every numeric field
+local function is_aggregate_field(field)
+    return (field == '*') or (string.match(field, '^' .. IDENTIFIER_PATTERN .. '$') ~= nil)
+end
+
+-- quantile(q, field[, method])
+local function parse_quantile_args(args, spec)
+    local q = tonumber(args[1])
+    assert(q and q >= 0 and q <= 1, 'QUANTILE: expected a number between 0 and 1, got "' .. tostring(args[1]) .. '"')
+    local field = args[2] or ''
+    assert(is_aggregate_field(field), 'invalid or missing aggregate spec ' .. '"' .. spec .. '"')
+    local method = string.lower(args[3] or 'auto')
+    assert(QUANTILE_METHODS[method], 'QUANTILE: Expecting "auto", "exact" or "sketch", got "' .. method .. '"')
+    assert(#args <= 3, 'QUANTILE: too many arguments in "' .. spec .. '"')
+    return field, {
+        q = q,
+        method = method,
+        name = 'p' .. string.format('%g', q * 100)
+    }
+end
+
+-- twa(field[, method]) or integral(field[, unit][, method])
+local function parse_weighted_args(rollup, args, spec)
+    local name = string.upper(rollup)
+    local field = args[1] or ''
+    assert(is_aggregate_field(field), 'invalid or missing aggregate spec ' .. '"' .. spec .. '"')
+    local options = {
+        method = 'step',
+        unit = MS_PER_SECOND
+    }
+    local i = 2
+    if (rollup == 'integral') and (args[i] ~= nil) and (not WEIGHTED_METHODS[string.lower(args[i])]) then
+        options.unit = parse_duration(args[i], name)
+        i = i + 1
+    end
+    if (args[i] ~= nil) then
+        local method = string.lower(args[i])
+        assert(WEIGHTED_METHODS[method], name .. ': Expecting "step" or "linear", got "' .. method .. '"')
+        options.method = method
+        i = i + 1
+    end
+    assert(#args < i, name .. ': too many arguments in "' .. spec .. '"')
+    return field, options
+end
+
+--- Parse an aggregation spec such as max(value), p95(duration) or quantile(0.999, duration, exact).
+--- Returns the field, the aggregation type and any options for the aggregation
+local function parse_rollup(spec)
+    local rollup, field = string.match(spec, ROLLUP_PATTERN)
+    if (field == nil) then
+        rollup, field = string.match(spec, '^%s*' .. ID_CAPTURE_PATTERN .. '%s*%(%s*(%*)%s*%)%s*$')
+    end
+    local options
+    if (field == nil) then
+        local args
+        rollup, args = string.match(spec, '^%s*(' .. IDENTIFIER_PATTERN .. ')%s*%((.*)%)%s*$')
+        assert(rollup, 'invalid or missing aggregate spec ' .. '"' .. (spec or '') .. '"')
+        rollup = string.lower(rollup)
+        args = parse_list(args, ',')
+        if (rollup == 'quantile') then
+            field, options = parse_quantile_args(args, spec)
+        elseif (rollup == 'twa') or (rollup == 'integral') then
+            field, options = parse_weighted_args(rollup, args, spec)
+        else
+            error('invalid aggregation type : "' .. rollup ..'"')
+        end
+    else
+        rollup = string.lower(rollup)
+        assert(AGGREGATION_TYPES[rollup], 'invalid aggregation type : "' .. rollup ..'"')
+        assert(rollup ~= 'quantile', 'QUANTILE: Expecting quantile(q, field), got "' .. spec .. '"')
+        local q = QUANTILE_ALIASES[rollup]
+        if (q) then
+            options = {
+                q = q,
+                method = 'auto',
+                name = rollup
+            }
+            rollup = 'quantile'
+        elseif (rollup == 'twa') or (rollup == 'integral') then
+            field, options = parse_weighted_args(rollup, { field }, spec)
+        end
+    end
+    return field, rollup, options
+end
+
+--- Parse an aggregation spec into a list of { field, rollup, options }. Several aggregations of a field
+--- may be given at once, e.g. {min,max,avg}(latency)
+local function parse_rollups(spec)
+    local rollups, args = string.match(spec, '^%s*{(.-)}%s*(%(.*%))%s*$')
+    if (rollups == nil) then
+        return { { parse_rollup(spec) } }
+    end
+    local result = {}
+    for _, rollup in ipairs(parse_list(rollups, ',')) do
+        result[#result + 1] = { parse_rollup(rollup .. args) }
+    end
+    assert(#result > 0, 'invalid or missing aggregate spec ' .. '"' .. spec .. '"')
+    return result
+end
+
+--- Parse a WINDOW spec, e.g. sma(value, 10), max(value, 5m) or ewma(value, 0.3). The size of a window is either
+--- a number of values or a duration (in ms)
+local function parse_window(spec)
+    local fn, args = string.match(spec, '^%s*(' .. IDENTIFIER_PATTERN .. ')%s*%((.*)%)%s*$')
+    assert(fn, 'WINDOW: invalid spec "' .. spec .. '"')
+    fn = string.lower(fn)
+    assert(WINDOW_FUNCTIONS[fn], 'WINDOW: invalid function "' .. fn .. '". Expected one of sma, ewma, sum, min, max')
+    args = parse_list(args, ',')
+    local field = args[1] or ''
+    assert(string.match(field, '^' .. IDENTIFIER_PATTERN .. '$'), 'WINDOW: invalid field name in "' .. spec .. '"')
+    assert(#args == 2, 'WINDOW: Expecting ' .. fn .. '(field, ' .. ((fn == 'ewma') and 'alpha' or 'size') .. '), got "' .. spec .. '"')
+    local result = {
+        fn = fn,
+        field = field,
+        name = field .. '_' .. fn
+    }
+    if (fn == 'ewma') then
+        local alpha = tonumber(args[2])
+        assert(alpha and alpha > 0 and alpha <= 1, 'WINDOW: alpha must be a number between 0 and 1, got "' .. args[2] .. '"')
+        result.alpha = alpha
+    else
+        local size = tonumber(args[2])
+        if (size ~= nil) then
+            assert(size >= 1 and math.floor(size) == size, 'WINDOW: size must be a positive integer, got "' .. args[2] .. '"')
+            result.size = size
+        else
+            result.span = parse_duration(args[2], 'WINDOW')
         end
-        count = count + 1
-        predicates[count] = predicate
+    end
+    return result
+end
+
+--- Parse an AGGREGATION time bucket. Either a number (in the units of the timestamps), a
+--- fixed duration such as 15m or 1h (in ms) or a calendar unit such as 1d, 1w, 1M or 1y
+local function parse_time_bucket(spec)
+    local err = 'AGGREGATE: timeBucket must be a number or duration. Got "' .. tostring(spec) .. '"'
+    if (string.upper(tostring(spec)) == 'ALL') then
+        return { all = true }
+    end
+    local width = tonumber(spec)
+    if (width ~= nil) then
+        return { width = width }
+    end
+    local n, unit = string.match(tostring(spec), '^(%d+)(%a+)$')
+    n = assert(tonumber(n), err)
+    assert(n > 0, err)
+    if (DURATION_UNITS[unit]) then
+        return { width = n * DURATION_UNITS[unit] }
+    end
+    assert(CALENDAR_UNITS[unit], err)
+    return { unit = unit, n = n }
+end
+
+-- timestamp part of a range bound, or nil for an open bound
+local function bound_timestamp(value)
+    if (value == '-') or (value == '+') then
+        return nil
+    end
+    return (split(tostring(value), '-'))
+end
+
+local function range_timestamp(value, name)
+    return assert(bound_timestamp(value), 'ALIGN ' .. name .. ' requires a numeric range ' .. name)
+end
+
+--- Build the functions mapping a timestamp to the start of its bucket and a bucket start
+--- to the width of the bucket
+local function create_buckets(params)
+    local bucket = params.aggregate.bucket
+    if (bucket.all) then
+        assert(params.align == nil, 'ALIGN is not supported with AGGREGATION ALL')
+        assert(params.empty == nil, 'EMPTY is not supported with AGGREGATION ALL')
+        assert(params.timezone == nil, 'TIMEZONE requires a calendar time bucket (d, w, M or y)')
+        -- a single bucket from the first to the last timestamp of the range, which is only known once the range
+        -- is read (see Timeseries._aggregate)
+        local span = {}
+        return {
+            span = span,
+            start = function()
+                return span.first
+            end,
+            width = function()
+                -- entries at a single timestamp still span a unit of time, e.g. for rate
+                return math.max(span.last - span.first, 1)
+            end
+        }
+    end
+    if (bucket.unit) then
+        assert(params.align == nil, 'ALIGN is not supported with calendar time buckets')
+        local tz = calendar.get_timezone(params.timezone or 'UTC')
+        local unit, n = bucket.unit, bucket.n
+        return {
+            start = function(ts)
+                local local_start = calendar.floor(unit, n, ts + calendar.utc_offset(tz, ts))
+                return calendar.to_utc(tz, local_start)
+            end,
+            width = function(start)
+                local local_start = start + calendar.utc_offset(tz, start)
+                return calendar.to_utc(tz, calendar.add(unit, n, local_start)) - start
+            end
+        }
     end
 
-    assert(count > 0, 'FILTER: at least one condition must be specified ')
-    -- construct final predicate
-    -- Optimize for common case (1 condition)
-    return join_AND(predicates), i
+    assert(params.timezone == nil, 'TIMEZONE requires a calendar time bucket (d, w, M or y)')
+    local width = bucket.width
+    local offset = 0
+    local align = params.align
+    if (align == 'start') or (align == '-') then
+        offset = range_timestamp(params.min, 'start')
+    elseif (align == 'end') or (align == '+') then
+        -- the last bucket ends at (and includes) the end of the range
+        offset = range_timestamp(params.max, 'end') + 1
+    elseif (align ~= nil) then
+        offset = assert(tonumber(align), 'ALIGN: Expecting "start", "end" or a timestamp, got "' .. align .. '"')
+    end
+    return {
+        start = function(ts)
+            return ts - ((ts - offset) % width)
+        end,
+        width = function()
+            return width
+        end
+    }
 end
 
 local function parse_range_params(valid_options, min, max, ...)
@@ -654,13 +1815,15 @@ local function parse_range_params(valid_options, min, max, ...)
 
     local arg = { ... }
     local i = 1
+    -- the labels implied by the aggregated fields
+    local aggregation_labels
 
     --- ts_debug('args = ' .. table.tostring(arg))
     --- [LIMIT count] or
     --- [AGGREGATION bucketWidth aggregateType]
     --- [FILTER key=value, ...]
     --- [LABELS name1, name2 ....]
-    while i < #arg do
+    while i <= #arg do
         local option_name = assert(arg[i], 'range: no option specified')
         option_name = string.upper(option_name)
 
@@ -681,42 +1844,103 @@ local function parse_range_params(valid_options, min, max, ...)
         if (option_name == 'LIMIT') then
             assert(not result.count, 'A value for limit has already been set')
 
-            -- we should have offset, count
             local count = assert( tonumber(arg[i]), 'LIMIT: value must be a number')
             assert(count >= 0, "LIMIT: value must be positive")
             result.count = count
-            i = i + 2
+            i = i + 1
         elseif (option_name == 'AGGREGATION') then
             assert(not result.aggregate, 'A value for aggregate has already been set')
 
             local bucketSize = arg[i]
             result.labels = {}
             result.aggregate = {
-                timeBucket = assert(tonumber(bucketSize), 'AGGREGATE: timeBucket must be a number. Got "' .. bucketSize .. '"'),
+                bucket = parse_time_bucket(bucketSize),
                 fields = {}
             }
+            aggregation_labels = result.labels
             i = i + 1
+            local aliases = {}
             while i <= #arg do
                 local agg = arg[i]
                 if (ALL_OPTIONS[string.upper(agg)]) then
                     break
                 end
-                local rollup, field = string.match(agg, ROLLUP_PATTERN)
-                assert(field, 'invalid or missing aggregate spec ' .. '"' .. (agg or '') .. '"')
-                rollup = assert(string.lower(rollup), 'missing value for aggregate type')
-                assert(AGGREGATION_TYPES[rollup], 'invalid aggregation type : "' .. rollup ..'"')
-                table.insert(result.aggregate.fields, { field, rollup })
-                result.labels[field] = 1
+                local rollups = parse_rollups(agg)
                 i = i + 1
+                -- agg(field) AS alias
+                if (arg[i] ~= nil) and (string.upper(arg[i]) == 'AS') then
+                    local alias = arg[i + 1] or ''
+                    assert(string.match(alias, '^' .. IDENTIFIER_PATTERN .. '$'), 'AS: invalid alias "' .. alias .. '"')
+                    assert((#rollups == 1) and (rollups[1][1] ~= '*'), 'AS: an alias names a single aggregation of a single field, got "' .. agg .. '"')
+                    assert(not aliases[alias], 'AS: alias "' .. alias .. '" is already used')
+                    aliases[alias] = 1
+                    rollups[1][4] = alias
+                    i = i + 2
+                end
+                for _, field_info in ipairs(rollups) do
+                    table.insert(result.aggregate.fields, field_info)
+                    if (field_info[1] == '*') then
+                        result.aggregate.wildcard = true
+                    else
+                        result.labels[field_info[1]] = 1
+                    end
+                end
             end
             -- make sure some fields were specified
             assert(#result.aggregate.fields, 'No fields specified for aggregation')
+            for _, field_info in ipairs(result.aggregate.fields) do
+                assert(not aliases[field_info[1]], 'AS: alias "' .. field_info[1] .. '" is also an aggregated field')
+            end
+        elseif (option_name == 'ALIGN') then
+            assert(not result.align, 'ALIGN already set')
+            result.align = assert(arg[i], 'ALIGN: value expected')
+            i = i + 1
+        elseif (option_name == 'TIMEZONE') then
+            assert(not result.timezone, 'TIMEZONE already set')
+            result.timezone = assert(arg[i], 'TIMEZONE: value expected')
+            i = i + 1
+        elseif (option_name == 'EMPTY') then
+            assert(not result.empty, 'EMPTY already set')
+            local empty = string.lower(arg[i] or '')
+            assert(EMPTY_VALUES[empty], 'EMPTY: Expecting "null", "zero", "previous", "next" or "linear", got "' .. empty .. '"')
+            result.empty = empty
+            i = i + 1
+        elseif (option_name == 'WINDOW') then
+            assert(not result.window, 'WINDOW already set')
+            result.window = {}
+            -- statistics are added as <field>_<function>, so a function may only be applied once to a field
+            local names = {}
+            while i <= #arg do
+                local spec = arg[i]
+                if (ALL_OPTIONS[string.upper(spec)]) then
+                    break
+                end
+                local window = parse_window(spec)
+                assert(not names[window.name], 'WINDOW: ' .. window.fn .. '(' .. window.field .. ') specified more than once')
+                names[window.name] = 1
+                table.insert(result.window, window)
+                i = i + 1
+            end
+            assert(#result.window > 0, 'WINDOW: at least one function must be specified')
+        elseif (option_name == 'GROUPBY') then
+            assert(not result.groupby, 'GROUPBY already set')
+            result.groupby = {}
+            while i <= #arg do
+                local field = arg[i]
+                if (ALL_OPTIONS[string.upper(field)]) then
+                    break
+                end
+                assert(string.match(field, '^' .. IDENTIFIER_PATTERN .. '$'), 'GROUPBY: invalid field name "' .. field .. '"')
+                table.insert(result.groupby, field)
+                i = i + 1
+            end
+            assert(#result.groupby > 0, 'GROUPBY: at least one field must be specified')
         elseif (option_name == "LABELS") then
             assert(not result.redacted, 'Either specify REDACT or LABELS, but not both')
             result.labels = {}
             while i <= #arg do
                 local key = arg[i]
-                if (PARAMETER_OPTIONS[ string.upper(key) ]) then
+                if (ALL_OPTIONS[ string.upper(key) ]) then
                     break
                 end
                 result.labels[key] = 1
@@ -728,7 +1952,7 @@ local function parse_range_params(valid_options, min, max, ...)
             result.redacted = {}
             while i <= #arg do
                 local key = arg[i]
-                if (PARAMETER_OPTIONS[ string.upper(key) ]) then
+                if (ALL_OPTIONS[ string.upper(key) ]) then
                     break
                 end
                 result.redacted[key] = 1
@@ -741,12 +1965,77 @@ local function parse_range_params(valid_options, min, max, ...)
             predicate, i = parse_filter(arg, i)
 
             result.filter = predicate
+        elseif (option_name == 'FORMAT') then
+            assert(not result.format, 'FORMAT already set')
+            local format = string.lower(arg[i] or '')
+            assert(FORMAT_VALUES[format], 'FORMAT: Expecting "json" or "msgpack", got "' .. format .. '"')
+            result.format = format
+            i = i + 1
         elseif (option_name == 'STORAGE') then
             assert(not result.storage, 'STORAGE already set')
             local storage = string.lower(arg[i] or '')
             assert(STORAGE_VALUES[storage], 'STORAGE: Expecting "timeseries" or "hash", got "' .. storage .. '"')
             result.storage = storage
             i = i + 1
+        elseif (option_name == 'REDUCE') then
+            assert(not result.reduce, 'REDUCE already set')
+            local reduce = string.lower(arg[i] or '')
+            assert(REDUCE_VALUES[reduce], 'REDUCE: Expecting "sum", "avg" or "max", got "' .. reduce .. '"')
+            result.reduce = reduce
+            i = i + 1
+        elseif (option_name == 'ON_CONFLICT') then
+            assert(not result.on_conflict, 'ON_CONFLICT already set')
+            local on_conflict = string.lower(arg[i] or '')
+            assert(ON_CONFLICT_VALUES[on_conflict], 'ON_CONFLICT: Expecting "first", "last", "combine" or "sum", got "' .. on_conflict .. '"')
+            result.on_conflict = on_conflict
+            i = i + 1
+        end
+    end
+
+    -- * aggregates every field, unless restricted by LABELS
+    if (result.aggregate and result.aggregate.wildcard and result.labels == aggregation_labels) then
+        result.labels = nil
+    end
+
+    if (result.align or result.timezone) then
+        assert(result.aggregate, (result.align and 'ALIGN' or 'TIMEZONE') .. ' requires AGGREGATION')
+    end
+    if (result.aggregate) then
+        result.aggregate.buckets = create_buckets(result)
+    end
+    if (result.empty) then
+        assert(result.aggregate, 'EMPTY requires AGGREGATION')
+        result.aggregate.empty = result.empty
+        result.aggregate.min = result.min
+        result.aggregate.max = result.max
+    end
+
+    if (result.window) then
+        assert(not result.aggregate, 'WINDOW cannot be combined with AGGREGATION')
+        -- window fields need to survive LABELS
+        if (result.labels) then
+            for _, spec in ipairs(result.window) do
+                result.labels[spec.field] = 1
+            end
+        end
+    end
+
+    if (result.groupby) then
+        assert(result.aggregate, 'GROUPBY requires AGGREGATION')
+        result.aggregate.groupby = result.groupby
+        -- group fields need to survive LABELS
+        if (result.labels) then
+            for _, field in ipairs(result.groupby) do
+                result.labels[field] = 1
+            end
+        end
+    end
+
+    if (result.reduce) then
+        assert(result.aggregate, 'REDUCE requires AGGREGATION')
+        assert(not result.groupby, 'REDUCE cannot be combined with GROUPBY')
+        for _, field_info in ipairs(result.aggregate.fields) do
+            assert(field_info[2] ~= 'stats', 'REDUCE: stats cannot be reduced')
         end
     end
 
@@ -839,37 +2128,216 @@ local function agg_collect_numbers(result, key, val)
     end
 end
 
-local AGGR_ITERATION_FUNCS = {
-    count = function(result, key, val)
-        result[key] = tonumber(result[key] or 0) + 1
-    end,
-    sum = function(result, key, val)
-        val = tonumber(val) or 0
-        result[key] = tonumber(result[key] or 0) + val
-    end,
-    avg = agg_collect_numbers,
-    median = agg_collect_numbers,
-    stdev = agg_collect_numbers,
-    rate = function(result, key, val)
-        result[key] = tonumber(result[key] or 0) + 1
-    end,
-    min = function(result, key, val)
-        local is_number
-        local current = result[key]
-        if (val ~= nil) then
-            is_number, val = is_possibly_number(val)
-            if (is_number) then
-                result[key] = math.min(current or math.huge, val)
-            else
-                current = current or ''
-                if (val < current) then
-                    result[key] = val
-                else
-                    result[key] = current
-                end
-            end
-        end
-    end,
+-- collect { timestamp, value } pairs, for aggregations which depend on when values were recorded
+local function agg_collect_samples(result, key, val, options, ts)
+    val = tonumber(val)
+    if val ~= nil then
+        result[key] = result[key] or {}
+        table.insert(result[key], { ts, val })
+    end
+end
+
+-- samples in timestamp order. revrange returns them in reverse
+local function sort_samples(samples)
+    table.sort(samples, function(a, b) return a[1] < b[1] end)
+    return samples
+end
+
+--- The change of the samples in a bucket, extrapolated to the bucket edges as Prometheus does. If *is_counter*,
+--- a decrease is treated as a counter reset. Returns nil for fewer than 2 samples
+local function extrapolated_change(samples, bucket_start, bucket_end, is_counter)
+    local n = #samples
+    if (n < 2) then
+        return nil
+    end
+    local first, last = samples[1], samples[n]
+    local sampled = last[1] - first[1]
+    if (sampled <= 0) then
+        return nil
+    end
+    local result = last[2] - first[2]
+    if (is_counter) then
+        local prev = first[2]
+        for i = 2, n do
+            local val = samples[i][2]
+            if (val < prev) then
+                result = result + prev
+            end
+            prev = val
+        end
+    end
+
+    -- extrapolate to an edge if it is close to the first or last sample, otherwise by half the average interval
+    local average = sampled / (n - 1)
+    local threshold = average * 1.1
+    local to_start = first[1] - bucket_start
+    local to_end = bucket_end - last[1]
+    if (is_counter) and (result > 0) and (first[2] >= 0) then
+        -- a counter never goes below zero
+        to_start = math.min(to_start, sampled * (first[2] / result))
+    end
+    local interval = sampled
+    interval = interval + ((to_start < threshold) and to_start or (average / 2))
+    interval = interval + ((to_end < threshold) and to_end or (average / 2))
+    return result * (interval / sampled)
+end
+
+local function finalize_change(result, buckets, is_counter, is_rate)
+    for bucket, samples in pairs(result) do
+        local start = tonumber(bucket)
+        local width = buckets.width(start)
+        local value = extrapolated_change(sort_samples(samples), start, start + width, is_counter)
+        if (value ~= nil) and (is_rate) then
+            value = value / (width / MS_PER_SECOND)
+        end
+        result[bucket] = (value ~= nil) and possibly_convert_float(value) or false
+    end
+    return result
+end
+
+-- value at *ts* on the line between samples *a* and *b*
+local function interpolate(a, b, ts)
+    if (b[1] == a[1]) then
+        return b[2]
+    end
+    return a[2] + (b[2] - a[2]) * (ts - a[1]) / (b[1] - a[1])
+end
+
+--- The area under the samples of a bucket, along with the time it spans. The samples are extended to the
+--- bucket start if a value is carried in from an earlier sample (*before*), and to the bucket end if there
+--- is a later one (*after*). Values are held until the next sample, or interpolated if *linear*
+local function weighted_area(samples, bucket_start, bucket_end, before, after, linear)
+    local points = {}
+    local first, last = samples[1], samples[#samples]
+    if (before) and (first[1] > bucket_start) then
+        points[1] = { bucket_start, linear and interpolate(before, first, bucket_start) or before[2] }
+    end
+    for _, sample in ipairs(samples) do
+        points[#points + 1] = sample
+    end
+    if (after) and (last[1] < bucket_end) then
+        points[#points + 1] = { bucket_end, linear and interpolate(last, after, bucket_end) or last[2] }
+    end
+    local area = 0
+    for i = 2, #points do
+        local a, b = points[i - 1], points[i]
+        local height = linear and ((a[2] + b[2]) / 2) or a[2]
+        area = area + height * (b[1] - a[1])
+    end
+    return area, points[#points][1] - points[1][1]
+end
+
+-- calls *fn* with the area and duration of each bucket, carrying values across adjacent buckets
+local function finalize_weighted(result, buckets, options, fn)
+    local keys = {}
+    for bucket, samples in pairs(result) do
+        keys[#keys + 1] = bucket
+        sort_samples(samples)
+    end
+    table.sort(keys, function(a, b) return tonumber(a) < tonumber(b) end)
+
+    local linear = options.method == 'linear'
+    local final = {}
+    for i, bucket in ipairs(keys) do
+        local samples = result[bucket]
+        local previous = keys[i - 1] and result[keys[i - 1]]
+        local following = keys[i + 1] and result[keys[i + 1]]
+        local start = tonumber(bucket)
+        local area, duration = weighted_area(samples, start, start + buckets.width(start),
+                previous and previous[#previous], following and following[1], linear)
+        final[bucket] = possibly_convert_float(fn(area, duration, samples))
+    end
+    return final
+end
+
+-- update a running summary of the numbers in a bucket (see stats.new)
+local function agg_summarize(count_values)
+    return function(result, key, val)
+        val = tonumber(val)
+        if val ~= nil then
+            local summary = result[key]
+            if (summary == nil) then
+                summary = stats.new(count_values)
+                result[key] = summary
+            end
+            stats.add(summary, val)
+        end
+    end
+end
+
+-- count the occurrences of values in a bucket. Unlike stats, any value is counted, not only numbers
+local function agg_count_values(result, key, val)
+    result[key] = result[key] or stats.new(true)
+    stats.count_value(result[key], tonumber(val) or val)
+end
+
+-- the order of values in the reply for stats
+local STATS_NAMES = {
+    'count', 'sum', 'sumsq', 'min', 'max', 'mean', 'var', 'std', 'skew', 'kurtosis', 'mode', 'count_distinct'
+}
+
+-- the statistics of a summary as a list of name/value pairs
+local function stats_reply(summary)
+    local reply = {}
+    for _, name in ipairs(STATS_NAMES) do
+        reply[#reply + 1] = name
+        reply[#reply + 1] = possibly_convert_float(summary[name])
+    end
+    return reply
+end
+
+-- replace the summary of each bucket with the statistic *name*
+local function finalize_stat(result, name)
+    for bucket, summary in pairs(result) do
+        result[bucket] = possibly_convert_float(stats.summary(summary)[name])
+    end
+    return result
+end
+
+local AGGR_ITERATION_FUNCS = {
+    count = function(result, key, val)
+        result[key] = tonumber(result[key] or 0) + 1
+    end,
+    sum = function(result, key, val)
+        val = tonumber(val) or 0
+        result[key] = tonumber(result[key] or 0) + val
+    end,
+    avg = agg_collect_numbers,
+    median = agg_collect_numbers,
+    stdev = agg_collect_numbers,
+    var = agg_summarize(false),
+    sumsq = agg_summarize(false),
+    skew = agg_summarize(false),
+    kurtosis = agg_summarize(false),
+    stats = agg_summarize(true),
+    mode = agg_count_values,
+    count_distinct = agg_count_values,
+    rate = function(result, key, val)
+        result[key] = tonumber(result[key] or 0) + 1
+    end,
+    increase = agg_collect_samples,
+    delta = agg_collect_samples,
+    irate = agg_collect_samples,
+    counter_rate = agg_collect_samples,
+    twa = agg_collect_samples,
+    integral = agg_collect_samples,
+    min = function(result, key, val)
+        local is_number
+        local current = result[key]
+        if (val ~= nil) then
+            is_number, val = is_possibly_number(val)
+            if (is_number) then
+                result[key] = math.min(current or math.huge, val)
+            else
+                current = current or ''
+                if (val < current) then
+                    result[key] = val
+                else
+                    result[key] = current
+                end
+            end
+        end
+    end,
     max = function(result, key, val)
         local is_number
         local current = result[key]
@@ -905,6 +2373,33 @@ local AGGR_ITERATION_FUNCS = {
     end,
     last = function(result, key, val)
         result[key] = val
+    end,
+    quantile = function(result, key, val, options)
+        val = tonumber(val)
+        if val == nil then
+            return
+        end
+        local bucket = result[key]
+        if (bucket == nil) then
+            bucket = { values = {} }
+            result[key] = bucket
+        end
+        if (bucket.digest) then
+            tdigest.add(bucket.digest, val)
+            return
+        end
+        local values = bucket.values
+        values[#values + 1] = val
+        local method = options.method
+        if (method == 'sketch') or ((method == 'auto') and (#values > EXACT_QUANTILE_LIMIT)) then
+            -- switch to a sketch to bound memory use
+            local digest = tdigest.new(QUANTILE_COMPRESSION)
+            for _, v in ipairs(values) do
+                tdigest.add(digest, v)
+            end
+            bucket.digest = digest
+            bucket.values = nil
+        end
     end
 }
 
@@ -933,15 +2428,28 @@ local AGGR_FINALIZE_FUNCS = {
         end
         return result
     end,
+    var = function(result)
+        return finalize_stat(result, 'var')
+    end,
+    sumsq = function(result)
+        return finalize_stat(result, 'sumsq')
+    end,
+    skew = function(result)
+        return finalize_stat(result, 'skew')
+    end,
+    kurtosis = function(result)
+        return finalize_stat(result, 'kurtosis')
+    end,
+    mode = function(result)
+        return finalize_stat(result, 'mode')
+    end,
+    count_distinct = function(result)
+        return finalize_stat(result, 'count_distinct')
+    end,
+    -- all statistics, as a list of name/value pairs
     stats = function(result)
-        for bucket, data in pairs(result) do
-            local stat = stats.basic(data)
-            local temp = {}
-            for k, v in pairs(stat) do
-                temp[#temp + 1] = k
-                temp[#temp + 1] = possibly_convert_float(v)
-            end
-            result[bucket] = temp
+        for bucket, summary in pairs(result) do
+            result[bucket] = stats_reply(stats.summary(summary))
         end
         return result
     end,
@@ -955,15 +2463,215 @@ local AGGR_FINALIZE_FUNCS = {
         end
         return result
     end,
-    rate = function(result, timeBucket)
+    rate = function(result, buckets)
         for bucket, count in pairs(result) do
-            result[bucket] = tostring(count / timeBucket)
+            result[bucket] = tostring(count / buckets.width(tonumber(bucket)))
+        end
+        return result
+    end,
+    increase = function(result, buckets)
+        return finalize_change(result, buckets, true, false)
+    end,
+    delta = function(result, buckets)
+        return finalize_change(result, buckets, false, false)
+    end,
+    counter_rate = function(result, buckets)
+        return finalize_change(result, buckets, true, true)
+    end,
+    twa = function(result, buckets, options)
+        return finalize_weighted(result, buckets, options, function(area, duration, samples)
+            if (duration == 0) then
+                return samples[#samples][2]
+            end
+            return area / duration
+        end)
+    end,
+    integral = function(result, buckets, options)
+        return finalize_weighted(result, buckets, options, function(area)
+            return area / options.unit
+        end)
+    end,
+    -- per second rate between the last 2 samples of a bucket
+    irate = function(result)
+        for bucket, samples in pairs(result) do
+            local value = false
+            local n = #samples
+            if (n >= 2) then
+                sort_samples(samples)
+                local prev, last = samples[n - 1], samples[n]
+                local change = last[2] - prev[2]
+                if (change < 0) then
+                    -- counter reset
+                    change = last[2]
+                end
+                local elapsed = last[1] - prev[1]
+                if (elapsed > 0) then
+                    value = possibly_convert_float(change / (elapsed / MS_PER_SECOND))
+                end
+            end
+            result[bucket] = value
+        end
+        return result
+    end,
+    quantile = function(result, buckets, options)
+        for bucket, data in pairs(result) do
+            local value
+            if (data.digest) then
+                value = tdigest.quantile(data.digest, options.q)
+            else
+                table.sort(data.values)
+                value = stats.quantile(data.values, options.q)
+            end
+            result[bucket] = possibly_convert_float(value)
         end
         return result
     end
 }
 
-local function aggregate(range, aggregationType, timeBucket)
+--- WINDOWS -----
+
+-- queue helpers. Items are added at *last* and removed from either end
+local function queue_new()
+    return { first = 1, last = 0 }
+end
+
+local function queue_size(q)
+    return q.last - q.first + 1
+end
+
+local function queue_push(q, item)
+    q.last = q.last + 1
+    q[q.last] = item
+end
+
+local function queue_shift(q)
+    local item = q[q.first]
+    q[q.first] = nil
+    q.first = q.first + 1
+    return item
+end
+
+local function queue_pop(q)
+    local item = q[q.last]
+    q[q.last] = nil
+    q.last = q.last - 1
+    return item
+end
+
+local rolling = {}
+
+--- A rolling statistic over the last *size* values, or the values within *span* of the latest one
+function rolling.new(spec)
+    return {
+        fn = spec.fn,
+        size = spec.size,
+        span = spec.span,
+        alpha = spec.alpha,
+        samples = queue_new(),
+        -- for min and max, the samples which may still become the extreme, oldest (and most extreme) first
+        extremes = queue_new(),
+        sum = 0
+    }
+end
+
+--- Add a value recorded at *ts*, and return the statistic including it
+function rolling.add(w, ts, val)
+    if (w.fn == 'ewma') then
+        w.value = w.value and (w.alpha * val + (1 - w.alpha) * w.value) or val
+        return w.value
+    end
+
+    local sample = { ts, val }
+    queue_push(w.samples, sample)
+    w.sum = w.sum + val
+    if (w.fn == 'min') or (w.fn == 'max') then
+        local extremes = w.extremes
+        while (queue_size(extremes) > 0) do
+            local latest = extremes[extremes.last][2]
+            if ((w.fn == 'min') and (latest < val)) or ((w.fn == 'max') and (latest > val)) then
+                break
+            end
+            queue_pop(extremes)
+        end
+        queue_push(extremes, sample)
+    end
+
+    local samples = w.samples
+    while (true) do
+        local oldest = samples[samples.first]
+        local expired = (w.size and queue_size(samples) > w.size) or (w.span and oldest[1] <= ts - w.span)
+        if (not expired) then
+            break
+        end
+        queue_shift(samples)
+        w.sum = w.sum - oldest[2]
+        if (w.extremes[w.extremes.first] == oldest) then
+            queue_shift(w.extremes)
+        end
+    end
+
+    if (w.fn == 'sum') then
+        return w.sum
+    elseif (w.fn == 'sma') then
+        return w.sum / queue_size(samples)
+    end
+    return w.extremes[w.extremes.first][2]
+end
+
+--- Add the WINDOW statistics to each entry of *range* as <field>_<function>, e.g. value_sma. Values are
+--- taken in timestamp order, so a *reversed* range (from XREVRANGE) is walked from the end
+local function apply_windows(range, specs, reversed)
+    local windows = {}
+    for i, spec in ipairs(specs) do
+        windows[i] = rolling.new(spec)
+    end
+    local current = {}
+    local n = #range
+    for j = 1, n do
+        local entry = range[reversed and (n - j + 1) or j]
+        local ts = split(entry[1], '-')
+        local hash = to_hash(entry[2])
+        for i, spec in ipairs(specs) do
+            local val = tonumber(hash[spec.field])
+            if (val ~= nil) then
+                current[i] = rolling.add(windows[i], ts, val)
+            end
+            -- entries without a value carry the latest statistic. Like other fields, it is returned as a string
+            if (current[i] ~= nil) then
+                local values = entry[2]
+                values[#values + 1] = spec.name
+                values[#values + 1] = string.format('%.14g', current[i])
+            end
+        end
+    end
+    return range
+end
+
+-- separates the values of multiple GROUPBY fields in a group key. A NUL rather than e.g. ':', which may appear in
+-- values (a:b and c would otherwise be grouped with a and b:c)
+local GROUP_SEPARATOR = '\0'
+
+-- the group key of an entry (as a flat list of field/value pairs), along with the
+-- field/value pairs of the group. Missing fields are treated as empty strings in the key
+local function group_key(hash, fields)
+    local lookup = {}
+    for i = 1, #hash, 2 do
+        lookup[hash[i]] = hash[i + 1]
+    end
+    local parts = {}
+    local labels = {}
+    for i, field in ipairs(fields) do
+        local val = lookup[field]
+        if (val ~= nil) then
+            labels[#labels + 1] = field
+            labels[#labels + 1] = val
+        end
+        parts[i] = tostring(val or '')
+    end
+    return table.concat(parts, GROUP_SEPARATOR), labels
+end
+
+local function aggregate(range, aggregationType, buckets, options)
     local result = {}
     local ts, key, val
 
@@ -971,13 +2679,13 @@ local function aggregate(range, aggregationType, timeBucket)
     local finalize = AGGR_FINALIZE_FUNCS[aggregationType] or AGGR_FINALIZE_FUNCS.default
 
     for _, kv in ipairs(range) do
-        ts = kv[1] - (kv[1] % timeBucket)
+        ts = buckets.start(kv[1])
         val = kv[2]
         key = tostring(ts)
-        iterate(result, key, val)
+        iterate(result, key, val, options, kv[1])
     end
 
-    return finalize(result, timeBucket)
+    return finalize(result, buckets, options)
 end
 
 local function base_range(cmd, key, params)
@@ -995,6 +2703,26 @@ local Timeseries = {
 
 Timeseries.__index = Timeseries;
 
+-- XADD *entries* ({ id, field/value list } pairs) to *key*, rolling them up by its rules and trimming it to its
+-- retention period. Returns the entries added, with their ids
+local function add_entries(key, entries)
+    local first = entries[1] and tonumber((split(tostring(entries[1][1]), '-')))
+    local rules = Timeseries._load_rules(key, first)
+    local added = {}
+
+    for i, entry in ipairs(entries) do
+        local id = redis.call('XADD', key, entry[1], unpack(entry[2]))
+        added[i] = { id, entry[2] }
+    end
+
+    if (#added > 0) then
+        Timeseries._apply_rules(key, rules, added)
+        Timeseries._apply_retention(key, tonumber((split(added[#added][1], '-'))))
+    end
+
+    return added
+end
+
 -- Add timestamp-value pairs to the Timeseries
 function Timeseries.add(key, timestamp, ...)
     local args = { ... }
@@ -1003,24 +2731,22 @@ function Timeseries.add(key, timestamp, ...)
     assert(n, 'No values specified for  "add"')
     assert( math.mod(n, 2) == 0 , 'Invalid args to add. Number of arguments must be even')
 
-    return redis.call('XADD', key, timestamp, unpack(args))
+    return add_entries(key, { { timestamp, args } })[1][1]
 end
 
 function Timeseries.bulkAdd(key, ...)
     local values = get_key_val_varargs('bulkAdd', ...)
     local len = #values
-    local count = 0
+    local entries = {}
 
     for i = 1, len, 2 do
         local ts = values[i]
         -- should be a json encoded string
         local val = cjson.decode(values[i + 1])
-        local args = from_hash(val)
-        redis.call('XADD', key, ts, unpack(args))
-        count = count + 1
+        entries[#entries + 1] = { ts, from_hash(val) }
     end
 
-    return count
+    return #add_entries(key, entries)
 end
 
 function Timeseries.del(key, ...)
@@ -1101,12 +2827,8 @@ function Timeseries._get(remove, key, timestamp, ...)
         if (remove) then
             redis.call("XDEL", key, ts)
         end
-        if (params.format == 'json') then
-            if not (params.should_pick) then
-                -- not a hash
-                value = to_hash(value)
-            end
-            return cjson.encode(value)
+        if (params.format) then
+            return format_response(to_hash(value), params.format)
         end
     end
     return value
@@ -1152,42 +2874,135 @@ function Timeseries.remrange(key, min, max, ...)
     return #range
 end
 
-function Timeseries._aggregate(range, agg_params)
-    local aggregate = aggregate
-    local by_key = {}
-    local k
-    for _, v in ipairs(range) do
-        local ts = v[3]
-        local hash = v[2] or {}
-        for i = 1, #hash, 2 do
-            k = hash[i]
-            by_key[k] = by_key[k] or {}
-            table.insert(by_key[k], { ts, hash[i + 1] })
+-- the numeric lower and upper bounds (if any) of a range, which may be given in reverse as for revrange
+local function range_bounds(min, max)
+    local a, b = bound_timestamp(min), bound_timestamp(max)
+    if (a and b) then
+        return math.min(a, b), math.max(a, b)
+    end
+    if (min == '+') or (max == '-') then
+        return b, a
+    end
+    return a, b
+end
+
+-- every bucket (as { timestamp, key }) from the first to the last bucket of the range, or
+-- of the data if the range is open
+local function bucket_grid(timestamps, agg_params)
+    local buckets = agg_params.buckets
+    local first, last = timestamps[1][1], timestamps[#timestamps][1]
+    local lower, upper = range_bounds(agg_params.min, agg_params.max)
+    if (lower) then
+        first = buckets.start(lower)
+    end
+    if (upper) then
+        last = buckets.start(upper)
+    end
+    local grid = {}
+    local ts = first
+    while (ts <= last) do
+        assert(#grid < EMPTY_BUCKET_LIMIT, 'EMPTY: more than ' .. EMPTY_BUCKET_LIMIT ..
+                ' buckets. Use a larger timeBucket or a smaller range')
+        grid[#grid + 1] = { ts, tostring(ts) }
+        ts = ts + buckets.width(ts)
+    end
+    return grid
+end
+
+-- values for the buckets of *grid* missing from *values* (bucket key => value). Buckets which cannot
+-- be filled are set to false (nil)
+local function fill_buckets(values, grid, strategy)
+    local filled = {}
+    -- index of the closest following bucket with a value
+    local following = {}
+    local index
+    for i = #grid, 1, -1 do
+        following[i] = index
+        if (values[grid[i][2]] ~= nil) then
+            index = i
+        end
+    end
+    local previous
+    for i, bucket in ipairs(grid) do
+        local key = bucket[2]
+        if (values[key] ~= nil) then
+            previous = i
+        else
+            local fill = false
+            local next_index = following[i]
+            if (strategy == 'zero') then
+                fill = 0
+            elseif (strategy == 'previous') and previous then
+                fill = values[grid[previous][2]]
+            elseif (strategy == 'next') and next_index then
+                fill = values[grid[next_index][2]]
+            elseif (strategy == 'linear') and previous and next_index then
+                local a = tonumber(values[grid[previous][2]])
+                local b = tonumber(values[grid[next_index][2]])
+                if (a and b) then
+                    local t0, t1 = grid[previous][1], grid[next_index][1]
+                    fill = possibly_convert_float(a + (b - a) * (bucket[1] - t0) / (t1 - t0))
+                end
+            end
+            filled[key] = fill
+        end
+    end
+    return filled
+end
+
+-- the (sorted) fields with at least one numeric value, other than the GROUPBY fields
+local function numeric_fields(by_key, groupby)
+    local excluded = {}
+    for _, field in ipairs(groupby or {}) do
+        excluded[field] = 1
+    end
+    local fields = {}
+    for field, values in pairs(by_key) do
+        if (not excluded[field]) then
+            for _, value in ipairs(values) do
+                if (tonumber(value[2]) ~= nil) then
+                    fields[#fields + 1] = field
+                    break
+                end
+            end
         end
     end
+    table.sort(fields)
+    return fields
+end
+
+-- the reply of Timeseries._aggregate, given the buckets (bucket key => value) of each aggregation of a field in a
+-- group as a list of { group, key, name, buckets, alias }, and the field/value pairs of each group
+local function aggregation_result(series, group_labels, agg_params)
+    local groupby = agg_params.groupby
     local result = {}
     local timestamps = {}
     local bucket_hash = {}
 
-    for _, field_info in ipairs(agg_params.fields) do
-        local key = field_info[1]
-        local agg_type = field_info[2]
-        local values = by_key[key]
-
-        if (values and #values > 0) then
-            local buckets = aggregate(values, agg_type, agg_params.timeBucket)
-            for k, value in pairs(buckets) do
-                result[k] = result[k] or {}
-                result[k][key] = result[k][key] or {}
-
-                local temp = result[k][key]
-                temp[#temp + 1] = agg_type
-                temp[#temp + 1] = value
-
-                if (bucket_hash[k] == nil) then
-                    bucket_hash[k] = 1
-                    timestamps[#timestamps + 1] = { tonumber(k), k }
-                end
+    -- aliased values are stored directly under the alias rather than by field and aggregation
+    local function add_value(k, group, key, name, value, alias)
+        result[k] = result[k] or {}
+        result[k][group] = result[k][group] or {}
+        local fields = result[k][group]
+        if (alias) then
+            fields[alias] = value
+            return
+        end
+        fields[key] = fields[key] or {}
+
+        local temp = fields[key]
+        temp[#temp + 1] = name
+        temp[#temp + 1] = value
+    end
+
+    for _, s in ipairs(series) do
+        local group, key, name, buckets, alias = unpack(s)
+        for k, value in pairs(buckets) do
+            add_value(k, group, key, name, value, alias)
+
+            if (bucket_hash[k] == nil) then
+                bucket_hash[k] = 1
+                timestamps[#timestamps + 1] = { tonumber(k), k }
             end
         end
     end
@@ -1195,44 +3010,175 @@ function Timeseries._aggregate(range, agg_params)
     -- use timestamps to transform hash into properly ordered indexed array
     table.sort(timestamps, function(a, b) return a[1] < b[1] end)
 
+    if (agg_params.empty) and (#timestamps > 0) then
+        timestamps = bucket_grid(timestamps, agg_params)
+        for _, s in ipairs(series) do
+            local group, key, name, buckets, alias = unpack(s)
+            local strategy = agg_params.empty
+            if (name == 'stats') and (strategy == 'zero') then
+                -- there is no zero value of stats
+                strategy = 'null'
+            end
+            for k, value in pairs(fill_buckets(buckets, timestamps, strategy)) do
+                add_value(k, group, key, name, value, alias)
+            end
+        end
+    end
+
+    if (not groupby) then
+        for k, groups in pairs(result) do
+            result[k] = groups['']
+        end
+    end
+
     local final = {
         timestamps = timestamps,
-        data = result
+        data = result,
+        groups = groupby and group_labels
     }
     return final
 end
 
-function Timeseries._range(remove, cmd, key, min, max, ...)
+function Timeseries._aggregate(range, agg_params)
+    local aggregate = aggregate
+    local groupby = agg_params.groupby
+    -- entries are split by group (a single group if there is no GROUPBY), then by field
+    local by_group = {}
+    local group_labels = {}
+    local k
+    -- AGGREGATION ALL
+    local span = agg_params.buckets.span
+    if (span) then
+        span.first, span.last = nil, nil
+    end
+    for _, v in ipairs(range) do
+        local ts = v[3]
+        local hash = v[2] or {}
+        if (span) then
+            local t = tonumber(ts)
+            span.first = math.min(span.first or t, t)
+            span.last = math.max(span.last or t, t)
+        end
+        local group = ''
+        if (groupby) then
+            local labels
+            group, labels = group_key(hash, groupby)
+            group_labels[group] = group_labels[group] or labels
+        end
+        local by_key = by_group[group] or {}
+        by_group[group] = by_key
+        for i = 1, #hash, 2 do
+            k = hash[i]
+            by_key[k] = by_key[k] or {}
+            table.insert(by_key[k], { ts, hash[i + 1] })
+        end
+    end
+    -- the buckets of each (group, field, aggregation)
+    local series = {}
+    for group, by_key in pairs(by_group) do
+        for _, field_info in ipairs(agg_params.fields) do
+            local agg_type = field_info[2]
+            local options = field_info[3]
+            local name = options and options.name or agg_type
+            local keys = { field_info[1] }
+            if (field_info[1] == '*') then
+                keys = numeric_fields(by_key, groupby)
+            end
 
-    local function handle_aggregation(range, agg_params, format)
-        local agg_response = Timeseries._aggregate(range, agg_params, format)
+            for _, key in ipairs(keys) do
+                local values = by_key[key]
+                local buckets = {}
+                if (values and #values > 0) then
+                    buckets = aggregate(values, agg_type, agg_params.buckets, options)
+                end
+                series[#series + 1] = { group, key, name, buckets, field_info[4] }
+            end
+        end
+    end
 
-        local timestamps = agg_response.timestamps
-        local result = agg_response.data
+    return aggregation_result(series, group_labels, agg_params)
+end
 
-        local final = {}
-        if (format == 'json') then
-            for i, ts in ipairs(timestamps) do
-                final[i] = { ts[1], result[ts[2]] }
-            end
-            final = cjson.encode(final)
-        else
-            local k = 1
-            local val
-            for _, ts in ipairs(timestamps) do
-                val = result[ts[2]]
-                final[k] = ts[1]
-                final[k + 1] = to_bulk_reply(val)
-                k = k + 2
+-- the reply to an aggregation, given the result of Timeseries._aggregate
+local function aggregation_reply(agg_response, agg_params, format)
+    local timestamps = agg_response.timestamps
+    local result = agg_response.data
+
+    -- unfilled EMPTY buckets (and undefined statistics)
+    local function format_value(value)
+        if (value == false) then
+            return cjson.null
+        elseif (type(value) == 'table') then
+            -- stats
+            local hash = to_hash(value)
+            for name, v in pairs(hash) do
+                hash[name] = format_value(v)
             end
+            return hash
         end
+        return value
+    end
 
-        return final
+    local function format_fields(data)
+        local fields = {}
+        for field, values in pairs(data) do
+            if (type(values) == 'table') then
+                local hash = to_hash(values)
+                for name, value in pairs(hash) do
+                    hash[name] = format_value(value)
+                end
+                fields[field] = hash
+            else
+                -- aliased value
+                fields[field] = format_value(values)
+            end
+        end
+        return fields
     end
 
-    local options = PARAMETER_OPTIONS
-    local params = parse_range_params(options, min, max, ...)
+    local function format_data(data)
+        if (agg_params.groupby) then
+            local groups = {}
+            for group, fields in pairs(data) do
+                groups[group] = format_fields(fields)
+            end
+            return groups
+        end
+        return format_fields(data)
+    end
+
+    local final = {}
+    local span = agg_params.buckets.span
+    if (span) then
+        -- AGGREGATION ALL: a single row of [first, last, values]
+        if (#timestamps > 0) then
+            local data = result[timestamps[1][2]]
+            data = format and format_data(data) or to_bulk_reply(data)
+            final = { span.first, span.last, data }
+        end
+        return format_response(final, format)
+    end
+    if (format) then
+        for i, ts in ipairs(timestamps) do
+            final[i] = { ts[1], format_data(result[ts[2]]) }
+        end
+        final = format_response(final, format)
+    else
+        local k = 1
+        local val
+        for _, ts in ipairs(timestamps) do
+            val = result[ts[2]]
+            final[k] = ts[1]
+            final[k + 1] = to_bulk_reply(val)
+            k = k + 2
+        end
+    end
+
+    return final
+end
 
+-- the reply to a range query given its parsed *params*
+local function range_reply(remove, cmd, key, params)
     local data = base_range(cmd, key, params)
 
     if data and #data > 0 then
@@ -1243,12 +3189,26 @@ function Timeseries._range(remove, cmd, key, min, max, ...)
         end
 
         if params.aggregate ~= nil then
-            range = handle_aggregation(range, params.aggregate, params.format)
+            return aggregation_reply(Timeseries._aggregate(range, params.aggregate), params.aggregate, params.format)
+        end
+        if (params.window) then
+            range = apply_windows(range, params.window, cmd == 'XREVRANGE')
+        end
+        if (params.format) then
+            for i, entry in ipairs(range) do
+                range[i] = { entry[1], to_hash(entry[2]) }
+            end
+            return format_response(range, params.format)
         end
         return range
     end
 
-    return {}
+    return format_response({}, params.format)
+end
+
+function Timeseries._range(remove, cmd, key, min, max, ...)
+    local params = parse_range_params(PARAMETER_OPTIONS, min, max, ...)
+    return range_reply(remove, cmd, key, params)
 end
 
 -- The list of timestamp-value pairs between *timestamp1* and *max*
@@ -1270,6 +3230,77 @@ function Timeseries.trimlength(key, count, approximate)
     return redis.call('XTRIM', key, unpack(args))
 end
 
+--- RETENTION -----
+
+-- the companion hash holding the settings of a series, such as its retention period
+local function settings_key(key)
+    return companion_key(key, 'settings')
+end
+
+-- the maximum number of entries deleted by a call when trimming by time
+local TRIM_CHUNK_SIZE = 1000
+
+-- retention periods may also be given in days or weeks, which are taken to be of a fixed length
+local RETENTION_UNITS = {
+    d = MS_PER_DAY,
+    w = 7 * MS_PER_DAY
+}
+
+local function parse_retention(spec)
+    local n, unit = string.match(spec, '^(%d+)(%a)$')
+    if (n and RETENTION_UNITS[unit]) then
+        return tonumber(n) * RETENTION_UNITS[unit]
+    end
+    return math.floor(parse_duration(spec, 'RETENTION'))
+end
+
+-- Remove at most *limit* of the entries older than *timestamp*
+local function trim_before(key, timestamp, limit)
+    local last = math.ceil(timestamp) - 1
+    if (last < 0) then
+        return 0
+    end
+    return remove_values(key, redis.call('XRANGE', key, '-', last, 'COUNT', limit))
+end
+
+--- Remove the entries which have expired by the time of an entry at *timestamp*. At most a chunk is removed
+--- per call to keep adds fast, so a large backlog is worked off over several adds or by trimtime
+function Timeseries._apply_retention(key, timestamp)
+    local retention = tonumber(redis.call('HGET', settings_key(key), 'retention'))
+    if (retention ~= nil) then
+        trim_before(key, timestamp - retention, TRIM_CHUNK_SIZE)
+    end
+end
+
+--- Get the retention period of *key* in ms, or set it to *period*, e.g. 30d. A period of 0 keeps entries indefinitely
+function Timeseries.retention(key, period)
+    if (period == nil) then
+        return tonumber(redis.call('HGET', settings_key(key), 'retention')) or false
+    end
+    if (tonumber(period) == 0) then
+        redis.call('HDEL', settings_key(key), 'retention')
+        return 0
+    end
+    local value = parse_retention(period)
+    redis.call('HSET', settings_key(key), 'retention', value)
+    return value
+end
+
+--- Remove at most *count* (by default TRIM_CHUNK_SIZE) of the entries older than *timestamp*, returning the number
+--- removed. Fewer than *count* are removed once there are none left
+---     trimtime key timestamp [COUNT count]
+function Timeseries.trimtime(key, timestamp, ...)
+    local value = assert(tonumber(timestamp), 'TRIMTIME: timestamp expected, got "' .. tostring(timestamp) .. '"')
+    local args = { ... }
+    local count = TRIM_CHUNK_SIZE
+    if (#args > 0) then
+        assert((#args == 2) and (string.upper(args[1]) == 'COUNT'), 'TRIMTIME: expected COUNT count')
+        count = tonumber(args[2])
+        assert(count and (count >= 1) and (math.floor(count) == count), 'TRIMTIME: COUNT must be a positive integer')
+    end
+    return trim_before(key, value, count)
+end
+
 -- list of timestamps between *min* and *max*
 function Timeseries.times(key, min, max)
     min = min or '-'
@@ -1282,6 +3313,44 @@ function Timeseries.times(key, min, max)
     return result
 end
 
+-- Fetch a page of at most *count* entries between *min* and *max*. Returns a pair of
+-- [cursor, entries], where cursor is the id at which the next page starts (inclusive) or nil
+-- if the range is exhausted. Filtering is applied per page, so a page may have fewer than *count*
+-- entries (or none) even if the cursor is not nil
+function Timeseries._scan(reverse, key, min, max, count, ...)
+    count = assert(tonumber(count), 'SCAN: count must be a number')
+    assert(count > 0, 'SCAN: count must be positive')
+
+    local params = parse_range_params({ FILTER = 1, LABELS = 1, REDACT = 1 }, min, max, ...)
+    local data
+    if reverse then
+        data = redis.call('XREVRANGE', key, params.max, params.min, 'COUNT', count)
+    else
+        data = redis.call('XRANGE', key, params.min, params.max, 'COUNT', count)
+    end
+
+    local cursor = false
+    if #data == count then
+        local last = data[#data][1]
+        if reverse then
+            cursor = prev_id(last) or false
+        else
+            cursor = next_id(last)
+        end
+    end
+
+    return { cursor, process_range(data, params) }
+end
+
+function Timeseries.scan(key, min, max, count, ...)
+    return Timeseries._scan(false, key, min, max, count, ...)
+end
+
+-- Same as scan, but iterates from *max* down to *min*
+function Timeseries.revscan(key, min, max, count, ...)
+    return Timeseries._scan(true, key, min, max, count, ...)
+end
+
 local function storeHash(dest, range, params)
     local args = {}
     for _, val in ipairs(range) do
@@ -1289,12 +3358,11 @@ local function storeHash(dest, range, params)
         local data = val[2]
 
         if type(data) == 'table' then
-            if (params.should_pick) then
-                -- its an associative array
-                data = cjson.encode( data )
-            else
-                data = cjson.encode( to_hash(data) )
+            -- entries are field, value lists, while aggregations are already associative arrays
+            if (#data > 0) then
+                data = to_hash(data)
             end
+            data = cjson.encode( data )
         end
         args[#args + 1] = tostring(ts)
         args[#args + 1] = data
@@ -1303,14 +3371,16 @@ local function storeHash(dest, range, params)
 end
 
 local function storeTimeseries(dest, range, params)
-    for _, val in ipairs(range) do
+    local entries = {}
+    for i, val in ipairs(range) do
         local ts = val[1]
         local data = val[2]
         if type(data) ~= 'table' then
             data = {'value', data}
         end
-        Timeseries.add(dest, ts, unpack(data))
+        entries[i] = { ts, data }
     end
+    add_entries(dest, entries)
 end
 
 local function storeResult(dest, range, params)
@@ -1326,51 +3396,124 @@ local function storeResult(dest, range, params)
     return #range
 end
 
---- copy data from a timeseries and store it in another key
-function Timeseries.copy(key, dest, min, max, ...)
+-- convert hash in form returned from aggregation to a version compatible with XADD/HMSET depending on
+-- STORAGE option. *labels* are the field/value pairs of the GROUPBY group, if any
+local function storage_value(val, agg_params, is_timeseries, labels)
+    local result = {}
+    labels = labels or {}
+    for j = 1, #labels, 2 do
+        if (is_timeseries) then
+            result[#result + 1] = labels[j]
+            result[#result + 1] = labels[j + 1]
+        else
+            result[labels[j]] = labels[j + 1]
+        end
+    end
 
-    -- convert hash in form returned from aggregation to a version compatible with XADD/HMSET depending on
-    -- STORAGE option
-    local function transform_value(val, agg_params, is_timeseries)
-        local result = {}
-        for _, field_info in ipairs(agg_params.fields) do
-            local key = field_info[1]
-            local values = val[key]
-
-            local sep = '_'
-            if (values and #values > 0) then
-                for j = 1, #values, 2 do
-                    local slot_key = key .. sep .. values[j]
-                    if (is_timeseries) then
-                        result[#result + 1] = slot_key
-                        result[#result + 1] = values[j + 1]
-                    else
-                        result[slot_key] = values[j + 1]
-                    end
-                end
+    local count = 0
+    local function add(slot_key, value)
+        -- unfilled EMPTY buckets are left out
+        if (value ~= false) then
+            count = count + 1
+            if (is_timeseries) then
+                result[#result + 1] = slot_key
+                result[#result + 1] = value
+            else
+                result[slot_key] = value
             end
-
         end
-        return result
     end
 
-    local function handle_aggregation(range, agg_params, is_timeseries)
-        local agg_response = Timeseries._aggregate(range, agg_params)
-        local timestamps = agg_response.timestamps
-        local result = agg_response.data
+    -- fields (or aliases) in the order they were specified. A field may be aggregated more than once, but
+    -- its values are already grouped together. * stands for any field not named explicitly
+    local keys = {}
+    local seen = {}
+    local wildcard = false
+    for _, field_info in ipairs(agg_params.fields) do
+        local key = field_info[4] or field_info[1]
+        if (key == '*') then
+            wildcard = true
+        elseif (not seen[key]) then
+            seen[key] = 1
+            keys[#keys + 1] = key
+        end
+    end
+    if (wildcard) then
+        local rest = {}
+        for key, _ in pairs(val) do
+            if (not seen[key]) then
+                rest[#rest + 1] = key
+            end
+        end
+        table.sort(rest)
+        table.extend(keys, rest)
+    end
 
-        local final = {}
-        local val, timestamp
-        for i, ts in ipairs(timestamps) do
-            timestamp = ts[1]
-            val = result[ts[2]]
-            val = transform_value( val, agg_params, is_timeseries )
-            final[i] = { timestamp, val }
+    for _, key in ipairs(keys) do
+        local values = val[key]
+        if (type(values) == 'table') then
+            for j = 1, #values, 2 do
+                local value = values[j + 1]
+                if (type(value) == 'table') then
+                    -- stats, e.g. value_stats_mean
+                    for m = 1, #value, 2 do
+                        add(key .. '_' .. values[j] .. '_' .. value[m], value[m + 1])
+                    end
+                else
+                    add(key .. '_' .. values[j], value)
+                end
+            end
+        elseif (values ~= nil) then
+            -- aliased value
+            add(key, values)
         end
+    end
+    return result, count
+end
 
-        return final
+-- the result of Timeseries._aggregate as a list of { id, fields } entries to be stored by storeResult
+local function storage_entries(agg_response, agg_params, is_timeseries)
+    local timestamps = agg_response.timestamps
+    local result = agg_response.data
+
+    local final = {}
+    local val, timestamp
+    for i, ts in ipairs(timestamps) do
+        timestamp = ts[1]
+        val = result[ts[2]]
+        if (agg_params.groupby) then
+            -- one entry per group, with ids sharing the bucket timestamp
+            local groups = {}
+            for group, _ in pairs(val) do
+                groups[#groups + 1] = group
+            end
+            table.sort(groups)
+            local seq = 0
+            for _, group in ipairs(groups) do
+                local fields, count = storage_value( val[group], agg_params, is_timeseries, agg_response.groups[group] )
+                if (count > 0) then
+                    final[#final + 1] = { timestamp .. '-' .. seq, fields }
+                    seq = seq + 1
+                end
+            end
+        else
+            local fields, count = storage_value( val, agg_params, is_timeseries )
+            if (count > 0) then
+                final[#final + 1] = { timestamp, fields }
+            end
+        end
     end
 
+    return final
+end
+
+-- aggregate *range* into a list of { id, fields } entries to be stored by storeResult
+local function aggregate_for_storage(range, agg_params, is_timeseries)
+    return storage_entries(Timeseries._aggregate(range, agg_params), agg_params, is_timeseries)
+end
+
+--- copy data from a timeseries and store it in another key
+function Timeseries.copy(key, dest, min, max, ...)
     local params = parse_range_params(COPY_OPTIONS, min, max, ...)
     local data = base_range('XRANGE', key, params)
     local is_timeseries = (not params.storage) or (params.storage == 'timeseries')
@@ -1382,113 +3525,776 @@ function Timeseries.copy(key, dest, min, max, ...)
     local has_aggregation = params.aggregate ~= nil
     local has_filter = params.filter ~= nil
 
-    -- Fast path if no filtering or transformation
+    -- Fast path if no filtering or transformation. The entries are still rolled up by the rules of *dest*
     if ((not has_filter) and (not has_aggregation) and is_timeseries) and (not params.should_pick)  then
-        for _, val in ipairs(data) do
-            local ts = val[1]
-            local args = val[2]
-            redis.call('XADD', dest, ts, unpack(args))
-        end
-        return #data
+        return #add_entries(dest, data)
     end
 
     local range = process_range(data, params)
     if params.aggregate ~= nil then
-        range = handle_aggregation(range, params.aggregate, is_timeseries)
+        range = aggregate_for_storage(range, params.aggregate, is_timeseries)
     end
 
     return storeResult(dest, range, params)
 end
 
---- Merge the data from 2 timeseries and store it in another key
-function Timeseries.merge(firstKey, secondKey, dest, min, max, ...)
+--- COMPACTION RULES -----
+
+-- the companion hash holding the compaction rules of a series, keyed by destination. Each rule is msgpack encoded
+-- as { args, spec, filter, open, state }: its options, their parsed form, the position of its FILTER conditions in
+-- *args*, the start of the bucket which is still receiving entries and the aggregation of that bucket so far
+local function rules_key(key)
+    return companion_key(key, 'rules')
+end
+
+-- the companion set of the series rolled up into a series, so that it is not dropped while it is a rule destination
+local function sources_key(key)
+    return companion_key(key, 'sources')
+end
+
+local function parse_rule_params(args)
+    local params = parse_range_params(RULE_OPTIONS, '-', '+', unpack(args))
+    assert(params.aggregate, 'CREATERULE: AGGREGATION expected')
+    assert(not params.aggregate.bucket.all, 'CREATERULE: AGGREGATION ALL is not supported')
+    return params
+end
+
+local function shallow_copy(source)
+    local result = {}
+    for k, v in pairs(source) do
+        result[k] = v
+    end
+    return result
+end
+
+-- the parsed options of a rule, without the functions built from them so that they can be stored
+local function rule_spec(params)
+    local spec = shallow_copy(params)
+    spec.filter = nil
+    spec.aggregate = shallow_copy(params.aggregate)
+    spec.aggregate.buckets = nil
+    return spec
+end
+
+-- the range params of a stored rule. Only its FILTER conditions are parsed again, since they compile to a function
+local function rule_params(rule)
+    local params = shallow_copy(rule.spec)
+    params.aggregate = shallow_copy(rule.spec.aggregate)
+    params.aggregate.buckets = create_buckets(params)
+    if (rule.filter) then
+        params.filter = parse_filter(rule.args, rule.filter)
+    end
+    return params
+end
+
+-- the position of the FILTER conditions in the options of a rule, if any
+local function filter_position(args)
+    for i, arg in ipairs(args) do
+        if (string.upper(arg) == 'FILTER') then
+            return i + 1
+        end
+    end
+    return nil
+end
 
-    local function emit(ts, value, params)
-        -- see if we are a hash, convert back
-        if (params.should_pick) then
-            value = from_hash(value)
+-- the destinations rolled up from *key*, directly or through the rules of other destinations
+local function rule_destinations(key)
+    local result = {}
+    local pending = { key }
+    local seen = { [key] = 1 }
+    while (#pending > 0) do
+        for _, dest in ipairs(redis.call('HKEYS', rules_key(table.remove(pending)))) do
+            if (not seen[dest]) then
+                seen[dest] = 1
+                result[#result + 1] = dest
+                pending[#pending + 1] = dest
+            end
         end
+    end
+    return result
+end
 
-        redis.call("XADD", dest, ts, unpack(value))
+-- rule destinations are written by the commands adding to their source, so they must be passed in KEYS
+local function assert_declared(keys)
+    local declared = {}
+    for _, key in ipairs(KEYS) do
+        declared[key] = 1
     end
+    for _, key in ipairs(keys) do
+        assert(declared[key], 'RULES: destination "' .. key .. '" must be passed in KEYS')
+    end
+end
 
-    local function add_remaining(array, start)
-        local emit = emit
-        local len = #array
-        local id, val
-        while start <= len do
-            local entry = array[i]
-            id = entry[1]
-            val = entry[2]
-            emit(id, val)
-            start = start + 1
+-- add an entry of a range (see process_range) to *state*, which holds the labels of each group and the iteration
+-- result (see AGGR_ITERATION_FUNCS) of each aggregation of each field, as in Timeseries._aggregate
+local function accumulate(state, entry, agg_params)
+    local hash = entry[2] or {}
+    local ts = entry[3]
+    local groupby = agg_params.groupby
+    local group, labels = '', nil
+    if (groupby) then
+        group, labels = group_key(hash, groupby)
+    end
+    local acc = state[group]
+    if (acc == nil) then
+        acc = { labels = labels, results = {}, numeric = {} }
+        state[group] = acc
+    end
+    local excluded = {}
+    for _, field in ipairs(groupby or {}) do
+        excluded[field] = 1
+    end
+    local bucket = tostring(agg_params.buckets.start(ts))
+    for i = 1, #hash, 2 do
+        local key, val = hash[i], hash[i + 1]
+        -- * stands for the fields with a numeric value
+        if (tonumber(val) ~= nil) then
+            acc.numeric[key] = true
+        end
+        for j, field_info in ipairs(agg_params.fields) do
+            if (field_info[1] == key) or ((field_info[1] == '*') and not excluded[key]) then
+                local results = acc.results[j] or {}
+                acc.results[j] = results
+                results[key] = results[key] or {}
+                AGGR_ITERATION_FUNCS[field_info[2]](results[key], bucket, val, field_info[3], ts)
+            end
+        end
+    end
+end
+
+-- the result of Timeseries._aggregate for the entries accumulated in *state*
+local function accumulated_aggregation(state, agg_params)
+    local series = {}
+    local group_labels = {}
+    for group, acc in pairs(state) do
+        group_labels[group] = acc.labels
+        for j, field_info in ipairs(agg_params.fields) do
+            local agg_type = field_info[2]
+            local options = field_info[3]
+            local results = acc.results[j] or {}
+            local keys = { field_info[1] }
+            if (field_info[1] == '*') then
+                keys = {}
+                for key, _ in pairs(results) do
+                    if (acc.numeric[key]) then
+                        keys[#keys + 1] = key
+                    end
+                end
+                table.sort(keys)
+            end
+            for _, key in ipairs(keys) do
+                local buckets = {}
+                if (results[key] ~= nil) then
+                    local finalize = AGGR_FINALIZE_FUNCS[agg_type] or AGGR_FINALIZE_FUNCS.default
+                    buckets = finalize(results[key], agg_params.buckets, options)
+                end
+                series[#series + 1] = { group, key, options and options.name or agg_type, buckets, field_info[4] }
+            end
         end
     end
+    return aggregation_result(series, group_labels, agg_params)
+end
 
-    local function merge(first, second)
-        local i, j = 1, 1
-        local first_len = #first
-        local second_len = #second
-        local emit = emit
+-- roll up *data* (as returned by XRANGE) into the open bucket of *rule*. An entry in a later bucket closes the open
+-- bucket, whose aggregation is then added to the destination. Entries for a closed bucket are not rolled up
+local function roll_up(rule, data)
+    local params = rule.params
+    local agg_params = params.aggregate
+    local stored = rule.stored
+    for _, value in ipairs(data) do
+        local bucket = agg_params.buckets.start(tonumber((split(value[1], '-'))))
+        if (stored.open == nil) or (bucket > stored.open) then
+            if (next(stored.state) ~= nil) then
+                -- the destination may have rules of its own, which are applied as it is added to
+                local aggregation = accumulated_aggregation(stored.state, agg_params)
+                storeTimeseries(rule.dest, storage_entries(aggregation, agg_params, true), params)
+            end
+            stored.open = bucket
+            stored.state = {}
+        end
+        if (bucket == stored.open) then
+            local entry = process_range({ value }, params)[1]
+            if (entry ~= nil) then
+                accumulate(stored.state, entry, agg_params)
+            end
+        end
+    end
+end
 
-        while i <= first_len and j <= second_len do
-            local full_id_a, val_a, numeric_id_a, seq_a = unpack(first[i])
-            local full_id_b, val_b, numeric_id_b, seq_b = unpack(second[j])
-            local ts, val
+-- buckets are added to the destination of a rule in order, from its open bucket on (or the bucket of the entries
+-- rolled up, starting at *timestamp*, if none is open yet). Check that the destinations down the chain of rules of
+-- *key* have no entries in those buckets, since adding to them would then fail after the source has been written
+local function assert_appendable(key, timestamp)
+    local pending = { { key, timestamp } }
+    while (#pending > 0) do
+        local source, from = unpack(table.remove(pending))
+        local hash = redis.call('HGETALL', rules_key(source))
+        for i = 1, #hash, 2 do
+            local dest, stored = hash[i], cmsgpack.unpack(hash[i + 1])
+            local bucket = stored.open
+            if (bucket == nil) and (from ~= nil) then
+                bucket = rule_params(stored).aggregate.buckets.start(from)
+            end
+            if (bucket ~= nil) then
+                local last = redis.call('XREVRANGE', dest, '+', '-', 'COUNT', 1)[1]
+                assert((last == nil) or (split(last[1], '-') < bucket),
+                    'RULES: destination "' .. dest .. '" already has entries from ' .. string.format('%.0f', bucket))
+            end
+            pending[#pending + 1] = { dest, bucket }
+        end
+    end
+end
 
-            if (numeric_id_a < numeric_id_b) then
-                ts = full_id_a
-                val = val_a
-                i = i + 1
-            elseif (numeric_id_a > numeric_id_b) then
-                ts = full_id_b
-                val = val_b
-                j = j + 1
-            elseif (numeric_id_b == numeric_id_a) then
-                seq_a = tonumber(seq_a)
-                seq_b = tonumber(seq_b)
-                if (seq_a < seq_b) then
-                    ts = full_id_a
-                    val = val_a
-                    i = i + 1
-                elseif (seq_a > seq_b) then
-                    ts = full_id_b
-                    val = val_b
-                    j = j + 1
-                else
-                    -- doesnt matter, pick one
-                    emit(full_id_a, val_a)
-                    i = i + 1
-                    ts = nil
+--- The rules of *key*, which are loaded before entries from *timestamp* on are added so that a destination missing
+--- from KEYS or which cannot be added to is reported before anything is written
+function Timeseries._load_rules(key, timestamp)
+    local hash = redis.call('HGETALL', rules_key(key))
+    if (#hash == 0) then
+        return {}
+    end
+    assert_declared(rule_destinations(key))
+    assert_appendable(key, timestamp)
+    local rules = {}
+    for i = 1, #hash, 2 do
+        local stored = cmsgpack.unpack(hash[i + 1])
+        rules[#rules + 1] = { dest = hash[i], stored = stored, params = rule_params(stored) }
+    end
+    return rules
+end
+
+--- Roll up the entries just added to *key* (as returned by XRANGE) using its *rules*
+function Timeseries._apply_rules(key, rules, data)
+    for _, rule in ipairs(rules) do
+        roll_up(rule, data)
+        redis.call('HSET', rules_key(key), rule.dest, cmsgpack.pack(rule.stored))
+    end
+end
+
+--- Roll up *key* into *dest* as entries are added, e.g.
+---     createrule src dest AGGREGATION 60000 avg(value) max(value)
+function Timeseries.createrule(key, dest, ...)
+    local args = { ... }
+    assert(dest and dest ~= key, 'CREATERULE: the source and destination must differ')
+    local params = parse_rule_params(args)
+    assert(redis.call('HEXISTS', rules_key(key), dest) == 0, 'CREATERULE: a rule for "' .. dest .. '" already exists')
+
+    -- a destination is rolled up into the destinations of its own rules, which must not lead back to the source
+    local dests = rule_destinations(dest)
+    assert_declared(dests)
+    for _, current in ipairs(dests) do
+        assert(current ~= key, 'CREATERULE: "' .. dest .. '" is already rolled up into "' .. key .. '"')
+    end
+
+    local rule = {
+        dest = dest,
+        stored = { args = args, spec = rule_spec(params), filter = filter_position(args), state = {} },
+        params = params
+    }
+    -- the bucket of the latest entry is left open, with the entries already in it
+    local last = redis.call('XREVRANGE', key, '+', '-', 'COUNT', 1)
+    if (#last > 0) then
+        local open = params.aggregate.buckets.start(tonumber((split(last[1][1], '-'))))
+        roll_up(rule, redis.call('XRANGE', key, open, '+'))
+    end
+    redis.call('SADD', sources_key(dest), key)
+    return redis.call('HSET', rules_key(key), dest, cmsgpack.pack(rule.stored))
+end
+
+function Timeseries.deleterule(key, dest)
+    assert(dest, 'DELETERULE: destination expected')
+    redis.call('SREM', sources_key(dest), key)
+    return redis.call('HDEL', rules_key(key), dest)
+end
+
+--- The rules of *key* as a list of destination, options pairs
+function Timeseries.rules(key)
+    local rules = redis.call('HGETALL', rules_key(key))
+    local dests = {}
+    local by_dest = {}
+    for i = 1, #rules, 2 do
+        dests[#dests + 1] = rules[i]
+        by_dest[rules[i]] = cmsgpack.unpack(rules[i + 1]).args
+    end
+    table.sort(dests)
+    local result = {}
+    for _, dest in ipairs(dests) do
+        result[#result + 1] = dest
+        result[#result + 1] = by_dest[dest]
+    end
+    return result
+end
+
+--- METADATA -----
+
+-- the companion hash holding the labels of a series, e.g. its units or source host
+local function meta_key(key)
+    return companion_key(key, 'meta')
+end
+
+-- series are indexed by label in a set per label=value and a set per label of the series which have it, which are
+-- companions of the index key passed to the script. The index key itself is the set of every series with labels
+local function index_key(index, label, value)
+    if (value == nil) then
+        return companion_key(index, label)
+    end
+    return companion_key(index, label .. '=' .. value)
+end
+
+local function is_label(label)
+    return string.match(label, '^' .. IDENTIFIER_PATTERN .. '$') ~= nil
+end
+
+local function unindex_label(key, index, label)
+    local value = redis.call('HGET', meta_key(key), label)
+    if (value) then
+        redis.call('SREM', index_key(index, label, value), key)
+        redis.call('SREM', index_key(index, label), key)
+    end
+end
+
+local function meta_set(key, index, ...)
+    local args = get_key_val_varargs('META SET', ...)
+    assert(#args > 0, 'META SET: at least one label and value expected')
+    for i = 1, #args, 2 do
+        assert(is_label(args[i]), 'META: invalid label "' .. args[i] .. '"')
+    end
+    for i = 1, #args, 2 do
+        local label, value = args[i], args[i + 1]
+        unindex_label(key, index, label)
+        redis.call('SADD', index_key(index, label, value), key)
+        redis.call('SADD', index_key(index, label), key)
+    end
+    redis.call('SADD', index, key)
+    return redis.call('HSET', meta_key(key), unpack(args))
+end
+
+local function meta_get(key, index, ...)
+    local labels = { ... }
+    if (#labels == 0) then
+        labels = redis.call('HKEYS', meta_key(key))
+        table.sort(labels)
+    end
+    local result = {}
+    for _, label in ipairs(labels) do
+        local value = redis.call('HGET', meta_key(key), label)
+        if (value) then
+            result[#result + 1] = label
+            result[#result + 1] = value
+        end
+    end
+    return result
+end
+
+local function meta_del(key, index, ...)
+    local labels = { ... }
+    if (#labels == 0) then
+        labels = redis.call('HKEYS', meta_key(key))
+        if (#labels == 0) then return 0 end
+    end
+    for _, label in ipairs(labels) do
+        unindex_label(key, index, label)
+    end
+    local count = redis.call('HDEL', meta_key(key), unpack(labels))
+    if (redis.call('EXISTS', meta_key(key)) == 0) then
+        redis.call('SREM', index, key)
+    end
+    return count
+end
+
+local META_ACTIONS = {
+    SET = meta_set,
+    GET = meta_get,
+    DEL = meta_del
+}
+
+--- Set, get or remove the labels of *key*, which are indexed in *index* for queryindex, e.g.
+---     meta key index SET units celsius host sensor-1
+---     meta key index GET [label ...]
+---     meta key index DEL [label ...]
+function Timeseries.meta(key, index, action, ...)
+    assert(index, 'META: an index key expected')
+    local func = META_ACTIONS[string.upper(action or '')]
+    assert(func, 'META: expected SET, GET or DEL, got "' .. tostring(action) .. '"')
+    return func(key, index, ...)
+end
+
+--- Delete *key* along with its labels, rules and settings, removing it from *index*. Returns 1 if the series existed.
+--- A series which is the destination of the rules of other series cannot be dropped until those rules are deleted
+function Timeseries.drop(key, index)
+    assert(index, 'DROP: an index key expected')
+    local sources = redis.call('SMEMBERS', sources_key(key))
+    if (#sources > 0) then
+        table.sort(sources)
+        error('DROP: "' .. key .. '" is rolled up from "' .. table.concat(sources, '", "') .. '", delete those rules first')
+    end
+    -- the destinations of the rules of *key* no longer have it as a source
+    local dests = redis.call('HKEYS', rules_key(key))
+    assert_declared(dests)
+    for _, dest in ipairs(dests) do
+        redis.call('SREM', sources_key(dest), key)
+    end
+    meta_del(key, index)
+    return redis.call('DEL', key, meta_key(key), rules_key(key), settings_key(key)) > 0 and 1 or 0
+end
+
+-- label=value, label!=value, label=(a,b) and label!=(a,b) match on the value of a label, label= matches
+-- series without the label and label!= those with it
+local function parse_matcher(index, spec)
+    local label, op, value = string.match(spec, '^%s*(' .. IDENTIFIER_PATTERN .. ')%s*(!?=)%s*(.-)%s*$')
+    assert(label, 'QUERYINDEX: invalid matcher "' .. spec .. '"')
+    local sets
+    if (value == '') then
+        sets = { index_key(index, label) }
+    else
+        local list = string.match(value, '^%((.*)%)$')
+        local values = list and parse_list(list, ',') or { value }
+        sets = {}
+        for i, v in ipairs(values) do
+            sets[i] = index_key(index, label, v)
+        end
+    end
+    -- whether series must be in (rather than not in) the matched sets
+    local include = (op == '=') == (value ~= '')
+    return { sets = sets, include = include }
+end
+
+local function matched_series(matcher)
+    local series = {}
+    for _, key in ipairs(redis.call('SUNION', unpack(matcher.sets))) do
+        series[key] = true
+    end
+    return series
+end
+
+--- The keys of the series in *index* whose labels match all of the given matchers, e.g.
+---     queryindex index units=celsius host!=(sensor-1,sensor-2)
+function Timeseries.queryindex(index, ...)
+    assert(index, 'QUERYINDEX: an index key expected')
+    local matchers = {}
+    for i, spec in ipairs({ ... }) do
+        matchers[i] = parse_matcher(index, spec)
+    end
+    assert(#matchers > 0, 'QUERYINDEX: at least one matcher expected')
+
+    local candidates
+    for _, matcher in ipairs(matchers) do
+        if (matcher.include) then
+            local series = matched_series(matcher)
+            if (candidates == nil) then
+                candidates = series
+            else
+                for key in pairs(candidates) do
+                    if (not series[key]) then candidates[key] = nil end
                 end
             end
-            if ts ~= nil then
-                emit(ts, val)
+        end
+    end
+    if (candidates == nil) then
+        candidates = {}
+        for _, key in ipairs(redis.call('SMEMBERS', index)) do
+            candidates[key] = true
+        end
+    end
+    for _, matcher in ipairs(matchers) do
+        if (not matcher.include) then
+            for key in pairs(matched_series(matcher)) do
+                candidates[key] = nil
             end
         end
-        add_remaining(first, i)
-        add_remaining(second, j)
+    end
 
-        return #first + #second
+    local result = {}
+    for key in pairs(candidates) do
+        result[#result + 1] = key
     end
+    table.sort(result)
+    return result
+end
 
+--- MULTIPLE SERIES -----
 
-    local MERGE_OPTIONS = {
-        LIMIT = 1,
-        FILTER = 1,
-        LABELS = 1,
-        REDACT = 1
+-- Combine the aggregates of each bucket across the results of Timeseries._aggregate for several series, giving a
+-- result of the same shape. Values which are not numbers (e.g. unfilled EMPTY buckets) are ignored
+local function reduce_aggregates(responses, agg_params, reduce)
+    -- AGGREGATION ALL buckets start at the first entry of each series, so are combined into one
+    local all = agg_params.buckets.span ~= nil
+    local buckets = {}
+    local timestamps = {}
+
+    local function accumulate(acc, value)
+        acc = acc or { count = 0, sum = 0 }
+        value = tonumber(value)
+        if (value ~= nil) then
+            acc.count = acc.count + 1
+            acc.sum = acc.sum + value
+            acc.max = math.max(acc.max or value, value)
+        end
+        return acc
+    end
+
+    local function reduced(acc)
+        if (acc.count == 0) then
+            return false
+        elseif (reduce == 'sum') then
+            return acc.sum
+        elseif (reduce == 'avg') then
+            return acc.sum / acc.count
+        end
+        return acc.max
+    end
+
+    for _, response in ipairs(responses) do
+        for _, ts in ipairs(response.timestamps) do
+            local k = all and '' or ts[2]
+            if (buckets[k] == nil) then
+                buckets[k] = {}
+                timestamps[#timestamps + 1] = { ts[1], k }
+            end
+            local fields = buckets[k]
+            for field, values in pairs(response.data[ts[2]]) do
+                if (type(values) == 'table') then
+                    -- name, value pairs of the aggregations of a field
+                    local entry = fields[field] or { names = {}, accs = {} }
+                    fields[field] = entry
+                    for i = 1, #values, 2 do
+                        local name = values[i]
+                        if (entry.accs[name] == nil) then
+                            entry.names[#entry.names + 1] = name
+                        end
+                        entry.accs[name] = accumulate(entry.accs[name], values[i + 1])
+                    end
+                else
+                    -- aliased value
+                    fields[field] = { acc = accumulate(fields[field] and fields[field].acc, values) }
+                end
+            end
+        end
+    end
+
+    local data = {}
+    for k, fields in pairs(buckets) do
+        data[k] = {}
+        for field, entry in pairs(fields) do
+            if (entry.acc) then
+                data[k][field] = reduced(entry.acc)
+            else
+                local values = {}
+                for _, name in ipairs(entry.names) do
+                    values[#values + 1] = name
+                    values[#values + 1] = reduced(entry.accs[name])
+                end
+                data[k][field] = values
+            end
+        end
+    end
+
+    table.sort(timestamps, function(a, b) return a[1] < b[1] end)
+    return {
+        timestamps = timestamps,
+        data = data
     }
+end
+
+--- Query the same range of several series, e.g.
+---     mrange - + AGGREGATION 1h max(cpu) REDUCE max
+--- The reply is a list of keys and their ranges, or with REDUCE a single aggregation combining the buckets of each
+function Timeseries.mrange(keys, min, max, ...)
+    local params = parse_range_params(MRANGE_OPTIONS, min, max, ...)
+
+    local series = {}
+    local seen = {}
+    for _, key in ipairs(keys) do
+        if (not seen[key]) then
+            seen[key] = true
+            series[#series + 1] = key
+        end
+    end
+
+    if (params.reduce) then
+        local agg_params = params.aggregate
+        -- for AGGREGATION ALL, the span of all the series
+        local span = agg_params.buckets.span
+        local first, last
+        local responses = {}
+        for i, key in ipairs(series) do
+            local range = process_range(base_range('XRANGE', key, params), params)
+            responses[i] = Timeseries._aggregate(range, agg_params)
+            if (span and span.first) then
+                first = math.min(first or span.first, span.first)
+                last = math.max(last or span.last, span.last)
+            end
+        end
+        if (span) then
+            span.first, span.last = first, last
+        end
+        return aggregation_reply(reduce_aggregates(responses, agg_params, params.reduce), agg_params)
+    end
+
+    local result = {}
+    for _, key in ipairs(series) do
+        result[#result + 1] = key
+        result[#result + 1] = range_reply(false, 'XRANGE', key, params)
+    end
+    return result
+end
+
+--- MERGE -----
+
+-- the number of entries read from each source at a time by merge, and buffered before being stored
+local MERGE_PAGE_SIZE = 1000
+
+-- whether the (parsed) id of entry *a* is less than (-1), equal to (0) or greater than (1) that of *b*
+local function compare_ids(a, b)
+    local ts_a, ts_b = tonumber(a[3]), tonumber(b[3])
+    if (ts_a == ts_b) then
+        ts_a, ts_b = tonumber(a[4]) or 0, tonumber(b[4]) or 0
+    end
+    if (ts_a < ts_b) then
+        return -1
+    end
+    return (ts_a > ts_b) and 1 or 0
+end
+
+-- A function returning the entries of *key* matching *params* in order, or nil once done. Entries are read a page
+-- at a time, and LIMIT caps the number read
+local function merge_source(key, params)
+    local entries, pos = {}, 1
+    local min = params.min
+    local remaining = params.count
+    local done = (remaining == 0)
+    return function()
+        while (pos > #entries) and (not done) do
+            local count = remaining and math.min(MERGE_PAGE_SIZE, remaining) or MERGE_PAGE_SIZE
+            local data = redis.call('XRANGE', key, min, params.max, 'COUNT', count)
+            if (remaining) then
+                remaining = remaining - #data
+            end
+            done = (#data < count) or (remaining == 0)
+            if (#data > 0) then
+                min = next_id(data[#data][1])
+            end
+            entries, pos = process_range(data, params), 1
+        end
+        local entry = entries[pos]
+        pos = pos + 1
+        return entry
+    end
+end
+
+-- Resolve the values of the entries with the same id in several sources, in the order of the sources
+local CONFLICT_RESOLVERS = {
+    first = function(values)
+        return values[1]
+    end,
+    last = function(values)
+        return values[#values]
+    end,
+    -- the union of the fields, taking the value of the last source with a field
+    combine = function(values)
+        local fields, by_field = {}, {}
+        for _, value in ipairs(values) do
+            for i = 1, #value, 2 do
+                local field = value[i]
+                if (by_field[field] == nil) then
+                    fields[#fields + 1] = field
+                end
+                by_field[field] = value[i + 1]
+            end
+        end
+        local result = {}
+        for _, field in ipairs(fields) do
+            result[#result + 1] = field
+            result[#result + 1] = by_field[field]
+        end
+        return result
+    end,
+    -- the total of each numeric field. Other fields are dropped
+    sum = function(values)
+        local fields, totals = {}, {}
+        for _, value in ipairs(values) do
+            for i = 1, #value, 2 do
+                local field, number = value[i], tonumber(value[i + 1])
+                if (number ~= nil) then
+                    if (totals[field] == nil) then
+                        fields[#fields + 1] = field
+                    end
+                    totals[field] = (totals[field] or 0) + number
+                end
+            end
+        end
+        local result = {}
+        for _, field in ipairs(fields) do
+            result[#result + 1] = field
+            result[#result + 1] = possibly_convert_float(totals[field])
+        end
+        return result
+    end
+}
+
+--- Merge a range of the first *source_count* of *keys* and store it in the next key, e.g.
+---     merge 3 - + ON_CONFLICT combine
+--- Any further keys are the destinations of the rules of the destination. The sources are read in order of id a page
+--- at a time, and entries with the same id in several sources are resolved according to ON_CONFLICT (sum by default).
+--- Returns the number of entries stored
+function Timeseries.merge(keys, source_count, min, max, ...)
+    local n = tonumber(source_count)
+    assert(n and n > 0 and math.floor(n) == n, 'MERGE: the number of sources expected')
+    assert(#keys > n, 'MERGE: ' .. n .. ' sources and a destination expected')
+    local sources = { unpack(keys, 1, n) }
+    local dest = keys[n + 1]
 
     local params = parse_range_params(MERGE_OPTIONS, min, max, ...)
-    local first = base_range('XRANGE', firstKey, params)
-    local second = base_range('XRANGE', secondKey, params)
     params.parse_ts = true
+    local resolve = CONFLICT_RESOLVERS[params.on_conflict or 'sum']
 
-    local first_range = process_range(first, params)
-    local second_range = process_range(second, params)
+    local readers, heads = {}, {}
+    for i, key in ipairs(sources) do
+        readers[i] = merge_source(key, params)
+        heads[i] = readers[i]()
+    end
 
-    return merge(first_range, second_range)
+    local count = 0
+    local range = {}
+    local function flush()
+        count = count + storeResult(dest, range, params)
+        range = {}
+    end
+
+    while true do
+        -- the sources whose next entry has the lowest id
+        local lowest = {}
+        for i = 1, #sources do
+            if (heads[i] ~= nil) then
+                local order = (#lowest == 0) and -1 or compare_ids(heads[i], heads[lowest[1]])
+                if (order < 0) then
+                    lowest = { i }
+                elseif (order == 0) then
+                    lowest[#lowest + 1] = i
+                end
+            end
+        end
+        if (#lowest == 0) then break end
+
+        local id = heads[lowest[1]][1]
+        local values = {}
+        for j, i in ipairs(lowest) do
+            values[j] = heads[i][2]
+            heads[i] = readers[i]()
+        end
+        local value = (#values == 1) and values[1] or resolve(values)
+        -- e.g. a sum of entries without numeric fields
+        if (#value > 0) then
+            range[#range + 1] = { id, value }
+            if (#range >= MERGE_PAGE_SIZE) then
+                flush()
+            end
+        end
+    end
+    if (#range > 0) then
+        flush()
+    end
+
+    return count
 end
 
 function Timeseries._collect(sourceKey, min, max, ...)
@@ -1565,25 +4371,18 @@ function Timeseries.basic_stats(sourceKey, min, max, ...)
     local by_key = Timeseries._collect(sourceKey, min, max, ...)
     local result = {}
     local val
-    local possibly_convert_float = possibly_convert_float
 
     for key, values in pairs(by_key) do
-        local data = {}
+        local summary = stats.new(true)
         for _, entry in ipairs(values) do
             val = tonumber(entry[2])
             if (val ~= nil) then
-                data[#data + 1] = val
+                stats.add(summary, val)
             end
         end
 
-        local stat = stats.basic(data)
-        local temp = {}
-        for k, v in pairs(stat) do
-            temp[#temp + 1] = k
-            temp[#temp + 1] = possibly_convert_float(v)
-        end
         result[#result + 1] = key
-        result[#result + 1] = temp
+        result[#result + 1] = stats_reply(stats.summary(summary))
     end
 
     return result
@@ -1612,10 +4411,12 @@ end
 
 -- ts_debug('running ' .. command_name .. '(' .. KEYS[1] .. ',' .. table.tostring(ARGV) .. ')')
 
-if (command_name == 'copy') or (command_name == 'COPY') then
+local upper_name = string.upper(command_name)
+if (upper_name == 'COPY') or (upper_name == 'CREATERULE') or (upper_name == 'DELETERULE')
+        or (upper_name == 'META') or (upper_name == 'DROP') then
     return command(KEYS[1], KEYS[2], unpack(ARGV))
-elseif (command_name == 'merge') or (command_name == 'MERGE') then
-    return command(KEYS[1], KEYS[2], KEYS[3], unpack(ARGV))
+elseif (upper_name == 'MERGE') or (upper_name == 'MRANGE') then
+    return command(KEYS, unpack(ARGV))
 end
 
 local result = command(KEYS[1], unpack(ARGV))